@@ -3,76 +3,102 @@
  * Handles form submissions and saves to Google Sheets
  * Author: Eng. Eslam Osama Saad (EOPeak)
  * 
- * Spreadsheet Structure:
+ * Requires FormContract.gs (a copy of scripts/form-contract.js) in the same
+ * Apps Script project for the shared error codes.
+ * 
+ * Deployment settings (spreadsheet ID, tab, recipients, ...) live in Script
+ * Properties - see CONFIG_SCHEMA_ and run setup() once per deployment.
+ * 
+ * Spreadsheet Structure (header row maintained by ensureSubmissionHeaders_;
+ * columns are matched by title, so they may be reordered in the sheet):
  * Column A: Name
  * Column B: Phone Number
  * Column C: Email
  * Column D: Message
+ * Column E: Consent
+ * Columns F+: Received At, Submission ID, client metadata, Form Version,
+ *             Form ID, Consent Version, Source, Spam, Spam Score, Spam Reasons,
+ *             then the lead workflow: Status, Status Updated, Assignee,
+ *             Last Contacted, Notes, and Anonymized At
+ * One deployment can serve several forms: each sends its form ID and the
+ * FORMS Script Property routes it to its own tab, recipients and field rules
+ * (see getFormConfig_).
+ * Staff review leads on the admin page (?action=admin, Admin.html) or in the
+ * sheet itself (Leads menu and onEdit stamps when the script is bound to it);
+ * replies sent from the sheet are logged in the "Conversations" tab.
+ * Emails that could not be sent wait in the "Unsent Notifications" tab for
+ * the hourly sendUnsentNotifications trigger.
+ * Accepted submissions are also POSTed as signed JSON to WEBHOOK_URLS; failed
+ * deliveries wait in the "Failed Webhooks" tab for retryFailedWebhooks.
+ * Personal data: submissions older than RETENTION_DAYS are anonymized by the
+ * purgeExpiredSubmissions trigger, and submitters can erase their rows from
+ * the erasure page (?action=erasure, Erasure.html); both are logged in the
+ * "Privacy Log" tab.
  */
 
 /**
  * Handle POST requests from the contact form
  * Supports both JSON and form-urlencoded data formats
+ * A form-urlencoded body with action=export is an export (see exportSubmissions_),
+ * so the API key can stay out of the URL
  * @param {Object} e - Event object containing request data
  * @returns {ContentService.TextOutput} - JSON response with CORS headers
  */
 function doPost(e) {
-  try {
-    // Open the spreadsheet by ID
-    var spreadsheetId = "1mON1Zpqs1kjBcU309_QUHaloI2o99Gfe4eSLeryXw5Y";
-    var sheet = SpreadsheetApp.openById(spreadsheetId).getActiveSheet();
-    
-    // Parse request data - handle both JSON and form-urlencoded formats
-    var formData = parseRequestData(e);
-    
-    // Extract and sanitize form fields
-    var name = sanitizeInput(formData.name || "");
-    var phone = sanitizeInput(formData.phone || "");
-    var email = sanitizeInput(formData.email || "");
-    var message = sanitizeInput(formData.message || "");
-    var honeypot = String(formData.honeypot || "");
-    var elapsedMs = Number(formData.elapsedMs || 0);
-    
-    // Basic anti-bot: honeypot must be empty
-    if (honeypot && honeypot.trim() !== "") {
-      throw new Error("Suspicious submission detected.");
-    }
+  // Hidden-iframe transport: reply with HTML that postMessages the result
+  if (e && e.parameter && e.parameter.transport === "iframe") {
+    return doPostHtml_(e);
+  }
+  // e.parameter holds the body fields too, so doGet's routing and errors apply
+  if (e && e.parameter && e.parameter.action === "export") {
+    return doGet(e);
+  }
+  var result = processSubmission_(e, "doPost");
+  return createResponse_(result, result.status === "success" ? 200 : 500);
+}
 
-    // Validate required fields
-    if (!name || !phone || !email || !message) {
-      throw new Error("All fields (Name, Phone, Email, Message) are required.");
-    }
-    
-    // Validate email format
-    if (!isValidEmail(email)) {
-      throw new Error("Invalid email address format.");
+/**
+ * Handle GET requests, routed on the `action` parameter:
+ *   ?action=token - issue a signed form token (see issueFormToken_)
+ *   ?action=challenge - issue a proof-of-work challenge (see issuePowChallenge_)
+ *   ?action=status&id=<submissionId>&formId=<formId> - outcome of a submission (see getSubmissionStatus_)
+ *   ?action=admin - submissions admin page for ADMIN_EMAILS (see renderAdminPage_)
+ *   ?action=export&key=<EXPORT_API_KEY>&formId=<formId> - submissions as JSON or CSV (see exportSubmissions_)
+ *   ?action=erasure[&token=<link token>] - "delete my data" page (see renderErasurePage_)
+ * @param {Object} e - Event object (e.parameter holds the query string)
+ * @returns {ContentService.TextOutput|HtmlService.HtmlOutput} - JSON response (CSV for exports,
+ *          HTML for the admin and erasure pages)
+ */
+function doGet(e) {
+  var action = e && e.parameter ? String(e.parameter.action || "") : "";
+  if (action === "admin") {
+    return renderAdminPage_();
+  }
+  if (action === "erasure") {
+    return renderErasurePage_(String(e.parameter.token || ""));
+  }
+  var result;
+  try {
+    switch (action) {
+      case "token":
+        result = issueFormToken_(getConfig_());
+        break;
+      case "challenge":
+        result = issuePowChallenge_(getConfig_());
+        break;
+      case "status":
+        result = getSubmissionStatus_(String(e.parameter.id || ""), getFormConfig_(getConfig_(), e.parameter.formId));
+        break;
+      case "export":
+        return exportSubmissions_(e.parameter, getConfig_());
+      default:
+        throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "Unknown action.");
     }
-    
-    // Server-side rate limiting (per email) via CacheService (60s window)
-    enforceRateLimit_(email);
-
-    // Append data to sheet - Columns A (Name), B (Phone), C (Email), D (Message)
-    sheet.appendRow([name, phone, email, message]);
-
-    // Send notification email
-    sendNotificationEmail({ name: name, phone: phone, email: email, message: message });
-    
-    // Return success response with CORS headers
-    return createResponse({
-      status: "success",
-      message: "Thank you! Your message has been received successfully."
-    }, 200);
-    
   } catch (error) {
-    // Log error for debugging
-    Logger.log("Error in doPost: " + error.toString());
-    
-    // Return error response with CORS headers
-    return createResponse({
-      status: "error",
-      message: error.toString() || "An error occurred while processing your request."
-    }, 500);
+    Logger.log("Error in doGet: " + error.toString());
+    result = errorBody_(error);
   }
+  return createResponse_(result, result.status === "success" ? 200 : 400);
 }
 
 /**
@@ -83,292 +109,4211 @@ function doPost(e) {
  * @returns {ContentService.TextOutput} - Empty response with CORS headers
  */
 function doOptions(e) {
-  return createResponse("", 200);
+  return createResponse_("", 200);
 }
 
 /**
  * Alternative handler that returns HTML with embedded JSON
  * This method works around CORS limitations by returning HTML
- * The frontend can parse the embedded JSON from the HTML response
+ * Used by the hidden-iframe transport (doPost with transport=iframe): the page
+ * posts a hidden form into a hidden iframe and receives the result via postMessage
  * @param {Object} e - Event object containing request data
  * @returns {HtmlService.HtmlOutput} - HTML page with embedded JSON data
  */
-function doPostHtml(e) {
+function doPostHtml_(e) {
+  var result = processSubmission_(e, "doPostHtml_");
+  var title = result.status === "success" ? "Form Submitted" : "Error";
+  // requestId lets the page match the message to its submission
+  var message = {
+    source: "eopeak-form",
+    type: "FORM_RESULT",
+    requestId: e && e.parameter ? String(e.parameter.submissionId || "") : "",
+    result: result
+  };
+  var json = JSON.stringify(message).replace(/</g, '\\u003c');
+
+  // HtmlService output runs in a sandbox frame inside Google's wrapper frame,
+  // so the submitting page is the parent's parent
+  return HtmlService.createHtmlOutput(
+    '<!DOCTYPE html><html><head><title>' + title + '</title></head><body>' +
+    '<script>(function(){var m=' + json + ';' +
+    'try{window.parent.postMessage(m,"*");}catch(e){}' +
+    'try{if(window.parent.parent!==window.parent){window.parent.parent.postMessage(m,"*");}}catch(e){}' +
+    '})();</script>' +
+    '<div style="display:none;" id="response-data">' + escapeHtml_(JSON.stringify(result)) + '</div>' +
+    '</body></html>'
+  ).setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
+
+/**
+ * Validate, store and notify for one submission
+ * Shared by doPost and doPostHtml_; never throws
+ * @param {Object} e - Event object containing request data
+ * @param {string} source - Handler name (for logging)
+ * @returns {Object} - Response body: { status, message } or { status, code, message, fields }
+ */
+function processSubmission_(e, source) {
+  var lock = LockService.getScriptLock();
+  var locked = false;
   try {
-    // Process the request the same way as doPost
-    var spreadsheetId = "1mON1Zpqs1kjBcU309_QUHaloI2o99Gfe4eSLeryXw5Y";
-    var sheet = SpreadsheetApp.openById(spreadsheetId).getActiveSheet();
+    // Parse request data - handle both JSON and form-urlencoded formats
+    var formData = parseRequestData_(e);
+    var submissionId = readSubmissionId_(formData);
+
+    // Resolve deployment settings (Script Properties), the form's own settings
+    // (FORMS - unknown form IDs are rejected) and its target sheet
+    var config = getFormConfig_(getConfig_(), formData.formId);
+    var sheet = getSubmissionSheet_(config);
+
+    // One submission at a time from the duplicate check to the sheet write, so
+    // simultaneous requests can't both pass the duplicate, token and rate-limit
+    // checks or interleave their rows
+    locked = lock.tryLock(LOCK_TIMEOUT_MS_);
+    if (!locked) {
+      throw submissionError_(FormContract.errorCodes.SERVER_ERROR, "The server is busy. Please try again in a moment.");
+    }
+
+    // Repeats of a stored submission (client retries, the no-cors fallback)
+    // get the original result instead of a second row and email
+    var previous = findPreviousResult_(sheet, submissionId);
+    if (previous) {
+      Logger.log("Repeated submission " + submissionId + " - returning the original result");
+      return previous;
+    }
+
+    // Only requests carrying a fresh token issued by doGet are accepted
+    var tokenNonce = verifyFormToken_(formData.formToken, config);
+    // Optional proof-of-work (POW_ENABLED)
+    var powNonce = config.powEnabled
+      ? verifyProofOfWork_(formData.powChallenge, formData.powSolution, config)
+      : "";
     
-    var formData = parseRequestData(e);
-    var name = sanitizeInput(formData.name || "");
-    var phone = sanitizeInput(formData.phone || "");
-    var email = sanitizeInput(formData.email || "");
-    var message = sanitizeInput(formData.message || "");
+    // Extract and sanitize schema fields (FormContract.fields with the form's rules)
+    var fields = config.fields;
+    var record = {};
+    fields.forEach(function(field) {
+      record[field.id] = sanitizeInput_(formData[field.id]);
+    });
     var honeypot = String(formData.honeypot || "");
-    
-    if (honeypot && honeypot.trim() !== "") {
-      throw new Error("Suspicious submission detected.");
-    }
+    var meta = readSubmissionMeta_(formData);
+    // Verdicts that suppress follow-up emails (see shouldSendAutoReply_)
+    var outcome = { spam: false };
 
-    if (!name || !phone || !email || !message) {
-      throw new Error("All fields (Name, Phone, Email, Message) are required.");
+    // Validate fields with the same rule engine the browser uses -
+    // collect every problem so the client can highlight each input
+    var fieldErrors = validateRecord_(fields, record);
+    if (Object.keys(fieldErrors).length > 0) {
+      throw submissionError_(FormContract.errorCodes.VALIDATION, "Please correct the highlighted fields.", fieldErrors);
     }
+    var consentVersion = readConsentVersion_(fields, record, formData);
     
-    if (!isValidEmail(email)) {
-      throw new Error("Invalid email address format.");
+    // Spam scoring: reject, accept-and-flag, or accept silently (no emails)
+    var spam = scoreSubmission_(record, meta, honeypot, config);
+    if (spam.verdict === SPAM_VERDICTS_.REJECT) {
+      Logger.log("Spam rejected (score " + spam.score + "): " + spam.reasons.join(", "));
+      throw submissionError_(FormContract.errorCodes.SPAM_DETECTED, "Suspicious submission detected.");
     }
+    outcome.spam = spam.verdict !== SPAM_VERDICTS_.OK;
     
-    enforceRateLimit_(email);
-    sheet.appendRow([name, phone, email, message]);
+    // Server-side rate limiting (per email and per client) via CacheService
+    enforceRateLimit_(record.email, clientFingerprint_(formData), config);
 
-    // Send notification email
-    sendNotificationEmail({ name: name, phone: phone, email: email, message: message });
-    
-    // Return HTML with embedded JSON that the frontend can parse
-    var responseData = {
-      status: "success",
-      message: "Thank you! Your message has been received successfully."
-    };
+    // The submission is accepted from here on - the token and challenge cannot be replayed
+    consumeNonce_("token", tokenNonce, config);
+    if (powNonce) {
+      consumeNonce_("pow", powNonce, config);
+    }
+
+    // Append data to sheet - columns are matched by header title, so staff
+    // may reorder them (formula-leading values are neutralised, see encodeSheetValue_)
+    var values = mergeObjects_(record, meta, {
+      receivedAt: new Date(),
+      submissionId: submissionId,
+      formId: config.formId,
+      consentVersion: consentVersion,
+      spam: outcome.spam ? "yes" : "",
+      spamScore: spam.score,
+      spamReasons: spam.reasons.join(", "),
+      status: LEAD_STATUS_NEW_
+    });
+    writeSubmissionRow_(sheet, values);
+    // Webhooks are only queued here, so a slow receiver can't hold up the
+    // response (silently accepted spam is stored only)
+    if (spam.verdict !== SPAM_VERDICTS_.SILENT && config.webhookUrls.length > 0) {
+      queueSubmissionWebhooks_(values, config);
+    }
+    var result = successBody_(submissionId);
+    rememberResult_(submissionId, result);
+
+    // Commit the row before the next submission's duplicate check, then let it
+    // in - emails are slow and need no lock
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+    locked = false;
+
+    // Send notification email (silently accepted spam is stored only;
+    // in digest mode sendDigest reports it later)
+    if (spam.verdict !== SPAM_VERDICTS_.SILENT && config.notificationMode !== "digest") {
+      sendNotificationEmail_(record, config, spam);
+    }
+
+    // Confirmation to the submitter (opt-in, never for flagged submissions)
+    if (shouldSendAutoReply_(config, record, outcome)) {
+      sendAutoReplyEmail_(record, result.reference, config);
+    }
     
-    return HtmlService.createHtmlOutput(
-      '<!DOCTYPE html><html><head><title>Form Submitted</title></head><body>' +
-      '<script>window.parent.postMessage(' + JSON.stringify(responseData) + ', "*");</script>' +
-      '<div style="display:none;" id="response-data">' + JSON.stringify(responseData) + '</div>' +
-      '</body></html>'
-    ).setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+    return result;
     
   } catch (error) {
-    Logger.log("Error in doPostHtml: " + error.toString());
-    
-    var errorData = {
-      status: "error",
-      message: error.toString() || "An error occurred while processing your request."
-    };
-    
-    return HtmlService.createHtmlOutput(
-      '<!DOCTYPE html><html><head><title>Error</title></head><body>' +
-      '<script>window.parent.postMessage(' + JSON.stringify(errorData) + ', "*");</script>' +
-      '<div style="display:none;" id="response-data">' + JSON.stringify(errorData) + '</div>' +
-      '</body></html>'
-    ).setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+    // Log error for debugging
+    Logger.log("Error in " + source + ": " + error.toString());
+    var body = errorBody_(error);
+    // Let clients that couldn't read this response find out via ?action=status
+    if (submissionId) {
+      rememberFailure_(submissionId, body);
+    }
+    return body;
+  } finally {
+    if (locked) {
+      lock.releaseLock();
+    }
   }
 }
 
+/** How long a submission waits for another one to finish writing */
+var LOCK_TIMEOUT_MS_ = 10000;
+
 /**
- * Parse request data from different formats
- * Supports both JSON and form-urlencoded (URLSearchParams) formats
- * @param {Object} e - Event object containing request data
- * @returns {Object} - Parsed form data object
+ * Extract client-sent metadata (see FormHandler.getFormData)
+ * Values are untrusted: numbers are parsed, strings are length-capped
+ * @param {Object} formData - Parsed request data
+ * @returns {Object} - Metadata keyed by submission column key
  */
-function parseRequestData(e) {
-  var data = {};
-  
-  try {
-    // Check if request has postData (for Web Apps)
-    if (e.postData && e.postData.contents) {
-      var contentType = e.postData.type || "";
-      var contents = e.postData.contents;
-      
-      // Handle JSON format
-      if (contentType.indexOf("application/json") !== -1) {
-        data = JSON.parse(contents);
-      }
-      // Handle form-urlencoded format
-      else if (contentType.indexOf("application/x-www-form-urlencoded") !== -1 || 
-               contentType.indexOf("application/x-www-form-urlencoded") === -1 && contents.indexOf("=") !== -1) {
-        // Parse URL-encoded string
-        var params = contents.split("&");
-        for (var i = 0; i < params.length; i++) {
-          var pair = params[i].split("=");
-          if (pair.length === 2) {
-            var key = decodeURIComponent(pair[0].replace(/\+/g, " "));
-            var value = decodeURIComponent(pair[1].replace(/\+/g, " "));
-            data[key] = value;
-          }
-        }
-      }
-    }
-    // Handle direct parameter access (alternative method)
-    else if (e.parameter) {
-      data = e.parameter;
-    }
-  } catch (parseError) {
-    Logger.log("Error parsing request data: " + parseError.toString());
-    throw new Error("Invalid request data format.");
-  }
-  
-  return data;
+function readSubmissionMeta_(formData) {
+  var width = toFiniteNumber_(formData.viewportWidth);
+  var height = toFiniteNumber_(formData.viewportHeight);
+  var pageLoadTs = toFiniteNumber_(formData.pageLoadTs);
+
+  return {
+    clientTimestamp: clampText_(formData.timestamp, 40),
+    pageLoadedAt: pageLoadTs === "" ? "" : new Date(pageLoadTs),
+    elapsedMs: toFiniteNumber_(formData.elapsedMs),
+    userAgent: clampText_(formData.userAgent, 500),
+    viewport: width === "" || height === "" ? "" : width + "x" + height,
+    formVersion: clampText_(formData.formVersion, 40),
+    source: clampText_(formData.source, 100)
+  };
 }
 
 /**
- * Sanitize input to prevent XSS and injection attacks
- * @param {string} input - Raw input string
- * @returns {string} - Sanitized string
+ * Version of the consent text the submitter accepted. FormHandler sends it as
+ * consentVersion with the ticked consent field; only the field's current
+ * `version` is accepted, so the stored value is always one this backend knows.
+ * Whether consent is needed at all is the field's `required` rule (a form that
+ * doesn't ask for it sets FIELDS.consent.required to false in FORMS).
+ * @param {Array<Object>} fields - The form's fields (see getFormConfig_)
+ * @param {Object} record - Validated field values
+ * @param {Object} formData - Parsed request data
+ * @returns {string} - "" if the form has no consent field or it was not ticked
+ * @throws {Error} - VALIDATION if consent was ticked for another version
  */
-function sanitizeInput(input) {
-  if (!input || typeof input !== "string") {
+function readConsentVersion_(fields, record, formData) {
+  var field = fields.filter(function(candidate) { return candidate.id === CONSENT_FIELD_ID_; })[0];
+  if (!field || !record[field.id]) {
     return "";
   }
-  
-  // Remove potentially dangerous characters and trim whitespace
-  var sanitized = input.trim();
-  
-  // Remove HTML tags
-  sanitized = sanitized.replace(/<[^>]*>/g, "");
-  
-  // Limit length to prevent DoS
-  if (sanitized.length > 2000) {
-    sanitized = sanitized.substring(0, 2000);
+  var version = String(field.version || "");
+  if (String(formData.consentVersion || "") !== version) {
+    var errors = {};
+    errors[field.id] = FormContract.formatMessage(field, "version");
+    throw submissionError_(FormContract.errorCodes.VALIDATION, "Please correct the highlighted fields.", errors);
   }
-  
-  return sanitized;
+  return version;
 }
 
 /**
- * Validate email address format
- * @param {string} email - Email address to validate
- * @returns {boolean} - True if valid email format
+ * @param {*} value
+ * @returns {number|string} - Finite number, or "" when missing/invalid
  */
-function isValidEmail(email) {
-  if (!email || typeof email !== "string") {
-    return false;
+function toFiniteNumber_(value) {
+  if (value === null || value === undefined || value === "") return "";
+  var num = Number(value);
+  return isFinite(num) ? num : "";
+}
+
+/**
+ * Trim and cap a metadata string (metadata is informational, so capping is fine)
+ * @param {*} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function clampText_(value, maxLength) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim().substring(0, maxLength);
+}
+
+/**
+ * Shallow-merge plain objects (later arguments win)
+ * @returns {Object}
+ */
+function mergeObjects_() {
+  var out = {};
+  for (var i = 0; i < arguments.length; i++) {
+    var src = arguments[i] || {};
+    Object.keys(src).forEach(function(key) { out[key] = src[key]; });
   }
-  
-  // Basic email validation regex
-  var emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailPattern.test(email.trim());
+  return out;
 }
 
+/** How long results are kept for repeated submissions (CacheService maximum: 6 hours) */
+var SUBMISSION_RESULT_TTL_SECONDS_ = 21600;
+
+/** How long failed outcomes are reported by ?action=status */
+var FAILED_RESULT_TTL_SECONDS_ = 600;
+
+/** Accepted format of client-generated submission IDs */
+var SUBMISSION_ID_PATTERN_ = /^[A-Za-z0-9-]{16,64}$/;
+
 /**
- * Create standardized response with CORS headers
- * @param {Object|string} data - Response data (object will be JSON stringified)
- * @param {number} statusCode - HTTP status code (for reference, not directly used)
- * @returns {ContentService.TextOutput} - Formatted response with CORS headers
+ * Read the client-generated submission ID (idempotency key)
+ * Clients that don't send one get a server-generated ID
+ * @param {Object} formData - Parsed request data
+ * @returns {string}
+ * @throws {Error} - BAD_REQUEST if the ID is malformed
  */
-function createResponse(data, statusCode) {
-  var responseText;
-  
-  // Convert object to JSON string if needed
-  if (typeof data === "object") {
-    responseText = JSON.stringify(data);
-  } else {
-    responseText = data || "";
+function readSubmissionId_(formData) {
+  var id = String(formData.submissionId || "").trim();
+  if (id === "") {
+    return Utilities.getUuid();
   }
-  
-  // Create response with proper MIME type
-  var mimeType = typeof data === "object" ? 
-    ContentService.MimeType.JSON : 
-    ContentService.MimeType.TEXT;
-  
-  // Build response with CORS headers
-  // Note: Google Apps Script Web Apps have limitations with CORS headers.
-  // We use multiple response methods for maximum compatibility:
-  // 1. Standard JSON/TEXT with explicit CORS headers (for modern browsers)
-  // 2. HTML wrapper method (fallback for CORS-restricted environments)
-  var output = ContentService
-    .createTextOutput(responseText)
-    .setMimeType(mimeType);
-  
-  // Set CORS headers - these may not always work due to Google Apps Script limitations
-  try {
-    output.setHeader("Access-Control-Allow-Origin", "*");
-    output.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS, GET");
-    output.setHeader("Access-Control-Allow-Headers", "Content-Type");
-    output.setHeader("Access-Control-Max-Age", "3600");
-  } catch (e) {
-    // If header setting fails, continue without headers
-    Logger.log("Could not set CORS headers: " + e.toString());
+  if (!SUBMISSION_ID_PATTERN_.test(id)) {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "Invalid submission ID.");
   }
-  
-  return output;
+  return id;
 }
 
 /**
- * Enforce simple per-identity rate limit using CacheService
- * Limits one submission per 60 seconds per email hash
- * @param {string} email
+ * Result of an earlier request with the same submission ID
+ * Checks CacheService first, then the Submission ID column (older than the cache)
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} submissionId
+ * @returns {Object|null} - Response body, or null for a new submission
  */
-function enforceRateLimit_(email) {
-  var key = 'rate:' + hashEmail_(email);
-  var cache = CacheService.getScriptCache();
-  var existing = cache.get(key);
-  if (existing) {
-    throw new Error('Too many submissions. Please wait a minute and try again.');
+function findPreviousResult_(sheet, submissionId) {
+  var cached = CacheService.getScriptCache().get("submission:" + submissionId);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  if (findSubmissionRow_(sheet, submissionId)) {
+    return successBody_(submissionId);
   }
-  // Set lock for 60 seconds
-  cache.put(key, '1', 60);
+  return null;
 }
 
 /**
- * Create a short hash of email to use as cache key
- * @param {string} email
- * @returns {string}
+ * Store a failed outcome for ?action=status
+ * Kept apart from rememberResult_ so a retry with the same ID is processed again
+ * @param {string} submissionId
+ * @param {Object} body - Error response body
  */
-function hashEmail_(email) {
-  var bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(email).toLowerCase().trim());
-  var hex = bytes.map(function(b){
-    var s = (b & 0xFF).toString(16);
-    return ('0' + s).slice(-2);
-  }).join('');
-  // shorten to 16 chars
-  return hex.substring(0, 16);
+function rememberFailure_(submissionId, body) {
+  CacheService.getScriptCache().put("failed:" + submissionId, JSON.stringify(body), FAILED_RESULT_TTL_SECONDS_);
 }
 
 /**
- * Send notification email with submission details
- * @param {{name:string, phone:string, email:string, message:string}} payload
+ * Outcome of a submission, for clients that couldn't read the POST response
+ * (the no-cors fallback)
+ * @param {string} submissionId - Client-generated submission ID
+ * @param {Object} config - From getFormConfig_() (the form's sheet is searched)
+ * @returns {Object} - The success or error body, or { status: "pending" } if unknown so far
  */
-function sendNotificationEmail(payload) {
-  try {
-    var recipients = 'eslamosamawork143@gmail.com, eo54872@gmail.com';
-    var subject = 'New Contact Form Submission — ' + (payload.name || 'Unknown Name');
+function getSubmissionStatus_(submissionId, config) {
+  if (!SUBMISSION_ID_PATTERN_.test(submissionId)) {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "Invalid submission ID.");
+  }
 
-    var timezone = Session.getScriptTimeZone() || 'UTC';
-    var submittedAt = Utilities.formatDate(new Date(), timezone, 'yyyy-MM-dd HH:mm:ss z');
+  var previous = findPreviousResult_(getSubmissionSheet_(config), submissionId);
+  if (previous) {
+    return previous;
+  }
+  var failed = CacheService.getScriptCache().get("failed:" + submissionId);
+  if (failed) {
+    return JSON.parse(failed);
+  }
+  return {
+    status: "pending",
+    submissionId: submissionId,
+    message: "This submission has not been received yet."
+  };
+}
 
-    // Inline styled HTML email (designer-friendly, readable)
-    var primary = '#056608';
-    var text = '#333333';
-    var bg = '#f7fbff';
-    var rowBg = '#ffffff';
-    var border = '#e2e8f0';
-
-    var html = '' +
-      '<!doctype html>' +
-      '<html><head><meta charset="UTF-8"></head>' +
-      '<body style="margin:0;padding:0;background:' + bg + ';font-family: -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:' + text + ';">' +
-      '  <table role="presentation" cellspacing="0" cellpadding="0" border="0" align="center" width="100%" style="max-width:640px;margin:0 auto;padding:24px;">' +
-      '    <tr>' +
-      '      <td style="padding:0 0 16px 0;">' +
-      '        <h2 style="margin:0;font-size:20px;line-height:1.4;color:' + primary + ';">New Contact Form Submission</h2>' +
-      '        <p style="margin:6px 0 0 0;font-size:13px;color:#5e6a75;">Submitted at ' + submittedAt + '</p>' +
-      '      </td>' +
-      '    </tr>' +
-      '    <tr>' +
-      '      <td style="background:' + rowBg + ';border:1px solid ' + border + ';border-radius:10px;overflow:hidden;">' +
-      '        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="border-collapse:collapse;">' +
-      emailRow('Name', safe(payload.name)) +
-      emailRow('Phone', safe(payload.phone)) +
-      emailRow('Email', safe(payload.email)) +
-      emailRow('Message', safe(payload.message), true) +
-      '        </table>' +
-      '      </td>' +
-      '    </tr>' +
-      '    <tr><td style="padding-top:14px;font-size:12px;color:#8a95a3;">Reply to this email to contact the sender directly.</td></tr>' +
-      '  </table>' +
-      '</body></html>';
+/**
+ * Build the success response body
+ * @param {string} submissionId
+ * @returns {{status:string, message:string, submissionId:string, reference:string}}
+ */
+function successBody_(submissionId) {
+  return {
+    status: "success",
+    message: "Thank you! Your message has been received successfully.",
+    submissionId: submissionId,
+    reference: formatReference_(submissionId)
+  };
+}
 
-    // Send
-    MailApp.sendEmail({
-      to: recipients,
-      subject: subject,
-      htmlBody: html,
-      replyTo: payload.email || ''
-    });
-  } catch (err) {
-    // Avoid breaking main flow if email fails
-    Logger.log('sendNotificationEmail error: ' + err);
+/**
+ * Store a response body for repeats of the same submission ID
+ * @param {string} submissionId
+ * @param {Object} result - Response body
+ */
+function rememberResult_(submissionId, result) {
+  CacheService.getScriptCache().put("submission:" + submissionId, JSON.stringify(result), SUBMISSION_RESULT_TTL_SECONDS_);
+}
+
+/**
+ * Create an Error carrying a machine-readable code (see FormContract.errorCodes)
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable message
+ * @param {Object=} fields - Per-field messages keyed by field id
+ * @returns {Error}
+ */
+function submissionError_(code, message, fields) {
+  var error = new Error(message);
+  error.code = code;
+  if (fields) {
+    error.fields = fields;
+  }
+  return error;
+}
+
+/**
+ * Build the error response body
+ * Errors without a code are unexpected: their details stay in the log
+ * @param {Error} error
+ * @returns {{status:string, code:string, message:string, fields:(Object|undefined)}}
+ */
+function errorBody_(error) {
+  if (!error || !error.code) {
+    return {
+      status: "error",
+      code: FormContract.errorCodes.SERVER_ERROR,
+      message: "An error occurred while processing your request."
+    };
+  }
+
+  var body = {
+    status: "error",
+    code: error.code,
+    message: error.message
+  };
+  if (error.fields) {
+    body.fields = error.fields;
+  }
+  if (error.retryAfter) {
+    body.retryAfter = error.retryAfter;
+  }
+  return body;
+}
+
+/**
+ * Deployment settings read from Script Properties
+ * (Project Settings → Script Properties, or run setup() once to seed defaults).
+ * Each entry maps a property key to a config field on getConfig_().
+ */
+var CONFIG_SCHEMA_ = [
+  {
+    key: "SPREADSHEET_ID",
+    name: "spreadsheetId",
+    type: "string",
+    required: true,
+    description: "ID of the Google Sheet that stores submissions (from its URL)"
+  },
+  {
+    key: "SHEET_NAME",
+    name: "sheetName",
+    type: "string",
+    defaultValue: "",
+    description: "Tab that receives submissions (empty = first tab)"
+  },
+  {
+    key: "NOTIFY_RECIPIENTS",
+    name: "notifyRecipients",
+    type: "emails",
+    required: true,
+    description: "Comma-separated addresses that receive new-submission emails"
+  },
+  {
+    key: "FORMS",
+    name: "forms",
+    type: "forms",
+    defaultValue: {},
+    description: "Other forms served by this deployment: JSON keyed by form ID with their own tab, recipients and field rules (see parseFormsTable_); empty = one form"
+  },
+  {
+    key: "RATE_LIMIT_WINDOW_SECONDS",
+    name: "rateLimitWindowSeconds",
+    type: "number",
+    defaultValue: 600,
+    min: 1,
+    max: 21600,
+    description: "Sliding window (seconds) for the per-email and per-client submission limits"
+  },
+  {
+    key: "RATE_LIMIT_PER_EMAIL",
+    name: "rateLimitPerEmail",
+    type: "number",
+    defaultValue: 2,
+    min: 1,
+    max: 100,
+    description: "Submissions allowed per email address within the window"
+  },
+  {
+    key: "RATE_LIMIT_PER_CLIENT",
+    name: "rateLimitPerClient",
+    type: "number",
+    defaultValue: 5,
+    min: 1,
+    max: 1000,
+    description: "Submissions allowed per client (browser fingerprint) within the window"
+  },
+  {
+    key: "REPLY_TO_SUBMITTER",
+    name: "replyToSubmitter",
+    type: "boolean",
+    defaultValue: true,
+    description: "Set Reply-To on notification emails to the submitter's address"
+  },
+  {
+    key: "NOTIFICATION_MODE",
+    name: "notificationMode",
+    type: "choice",
+    options: ["instant", "digest", "both"],
+    defaultValue: "instant",
+    description: "instant = one email per submission, digest = summary emails only (sendDigest trigger), both = both"
+  },
+  {
+    key: "DIGEST_FREQUENCY",
+    name: "digestFrequency",
+    type: "choice",
+    options: ["daily", "weekly"],
+    defaultValue: "daily",
+    description: "How often the digest is sent (weekly = Mondays); re-run setup() after changing"
+  },
+  {
+    key: "DIGEST_HOUR",
+    name: "digestHour",
+    type: "number",
+    defaultValue: 8,
+    min: 0,
+    max: 23,
+    description: "Hour of the day (script time zone) the digest is sent; re-run setup() after changing"
+  },
+  {
+    key: "DIGEST_RECIPIENTS",
+    name: "digestRecipients",
+    type: "emails",
+    defaultValue: [],
+    description: "Comma-separated digest addresses (empty = NOTIFY_RECIPIENTS)"
+  },
+  {
+    key: "ADMIN_EMAILS",
+    name: "adminEmails",
+    type: "emails",
+    defaultValue: [],
+    description: "Google accounts allowed on the admin page (?action=admin); empty = nobody"
+  },
+  {
+    key: "LEAD_ASSIGNEES",
+    name: "leadAssignees",
+    type: "list",
+    defaultValue: [],
+    description: "Names or addresses offered in the Assignee dropdown (empty = ADMIN_EMAILS); re-run setup() after changing"
+  },
+  {
+    key: "RETENTION_DAYS",
+    name: "retentionDays",
+    type: "number",
+    defaultValue: 0,
+    min: 0,
+    max: 3650,
+    description: "Anonymize submissions this many days after they were received (purgeExpiredSubmissions trigger); 0 = keep them; re-run setup() after changing"
+  },
+  {
+    key: "AUTO_REPLY_ENABLED",
+    name: "autoReplyEnabled",
+    type: "boolean",
+    defaultValue: false,
+    description: "Email the submitter a confirmation with a copy of their request"
+  },
+  {
+    key: "AUTO_REPLY_SUBJECT",
+    name: "autoReplySubject",
+    type: "string",
+    defaultValue: "We received your request",
+    description: "Subject (and heading) of the auto-reply; the reference number is appended"
+  },
+  {
+    key: "AUTO_REPLY_MESSAGE",
+    name: "autoReplyMessage",
+    type: "string",
+    defaultValue: "Thank you for getting in touch. We have received your request and will get back to you shortly. A copy of what you sent is below.",
+    description: "Opening paragraph of the auto-reply"
+  },
+  {
+    key: "AUTO_REPLY_FROM_NAME",
+    name: "autoReplyFromName",
+    type: "string",
+    defaultValue: "",
+    description: "Sender display name of the auto-reply (empty = account name)"
+  },
+  {
+    key: "AUTO_REPLY_REPLY_TO",
+    name: "autoReplyReplyTo",
+    type: "string",
+    defaultValue: "",
+    description: "Reply-To of the auto-reply (empty = first NOTIFY_RECIPIENTS address)"
+  },
+  {
+    key: "SPAM_FLAG_SCORE",
+    name: "spamFlagScore",
+    type: "number",
+    defaultValue: 4,
+    min: 1,
+    max: 100,
+    description: "Spam score at which a submission is accepted but flagged in the Spam column"
+  },
+  {
+    key: "SPAM_SILENT_SCORE",
+    name: "spamSilentScore",
+    type: "number",
+    defaultValue: 7,
+    min: 1,
+    max: 100,
+    description: "Spam score at which a submission is stored (flagged) without sending any email"
+  },
+  {
+    key: "SPAM_REJECT_SCORE",
+    name: "spamRejectScore",
+    type: "number",
+    defaultValue: 10,
+    min: 1,
+    max: 100,
+    description: "Spam score at which a submission is rejected (a filled honeypot scores 10)"
+  },
+  {
+    key: "SPAM_MIN_SUBMIT_SECONDS",
+    name: "spamMinSubmitSeconds",
+    type: "number",
+    defaultValue: 3,
+    min: 0,
+    max: 600,
+    description: "Submissions sent faster than this after page load look automated"
+  },
+  {
+    key: "SPAM_PHRASES",
+    name: "spamPhrases",
+    type: "list",
+    defaultValue: [
+      "seo services", "backlinks", "guest post", "first page of google", "rank your website",
+      "crypto", "bitcoin", "forex", "casino", "viagra", "loan offer", "work from home", "click here"
+    ],
+    description: "Comma-separated phrases that raise the spam score (case-insensitive)"
+  },
+  {
+    key: "SPAM_EXPECTED_SCRIPTS",
+    name: "spamExpectedScripts",
+    type: "list",
+    defaultValue: [],
+    description: "Writing systems expected in messages, e.g. \"Latin, Arabic\" (empty = any)"
+  },
+  {
+    key: "TOKEN_SECRET",
+    name: "tokenSecret",
+    type: "secret",
+    required: true,
+    description: "Key that signs form tokens (generated by setup(); change it to invalidate all tokens)"
+  },
+  {
+    key: "EXPORT_API_KEY",
+    name: "exportApiKey",
+    type: "secret",
+    defaultValue: "",
+    minLength: 24,
+    description: "Key required by ?action=export (empty = export disabled); use a long random value"
+  },
+  {
+    key: "WEBHOOK_URLS",
+    name: "webhookUrls",
+    type: "urls",
+    defaultValue: [],
+    description: "Comma-separated https:// URLs that receive each accepted submission as signed JSON (empty = no webhooks)"
+  },
+  {
+    key: "WEBHOOK_SECRET",
+    name: "webhookSecret",
+    type: "secret",
+    generate: true,
+    defaultValue: "",
+    minLength: 24,
+    description: "Key that signs webhook requests (X-Webhook-Signature); generated by setup() - give it to each receiver"
+  },
+  {
+    key: "TOKEN_MAX_AGE_SECONDS",
+    name: "tokenMaxAgeSeconds",
+    type: "number",
+    defaultValue: 3600,
+    min: 60,
+    max: 21600,
+    description: "How long a form token (and proof-of-work challenge) stays valid after it is issued"
+  },
+  {
+    key: "POW_ENABLED",
+    name: "powEnabled",
+    type: "boolean",
+    defaultValue: false,
+    description: "Require a solved proof-of-work challenge with each submission (also set AppConfig.pow.enabled)"
+  },
+  {
+    key: "POW_DIFFICULTY",
+    name: "powDifficulty",
+    type: "number",
+    defaultValue: 16,
+    min: 8,
+    max: 24,
+    description: "Leading zero bits required; each extra bit doubles the work (16 = about a second)"
+  }
+];
+
+/** Per-execution cache for getConfig_() */
+var CONFIG_CACHE_ = null;
+
+/**
+ * Read and parse deployment settings from Script Properties
+ * @returns {Object} - Config keyed by CONFIG_SCHEMA_ names
+ * @throws {Error} - If a required property is missing or a value is invalid
+ */
+function getConfig_() {
+  if (CONFIG_CACHE_) {
+    return CONFIG_CACHE_;
+  }
+
+  var props = PropertiesService.getScriptProperties().getProperties();
+  var config = {};
+  var problems = [];
+
+  CONFIG_SCHEMA_.forEach(function(entry) {
+    var parsed = parseConfigValue_(entry, props[entry.key]);
+    if (parsed.error) {
+      problems.push(parsed.error);
+    }
+    config[entry.name] = parsed.value;
+  });
+
+  if (problems.length > 0) {
+    throw new Error("Invalid script configuration (run setup() for details): " + problems.join("; "));
+  }
+
+  CONFIG_CACHE_ = config;
+  return config;
+}
+
+/**
+ * Parse one raw Script Property value according to its schema entry
+ * @param {Object} entry - CONFIG_SCHEMA_ entry
+ * @param {string|undefined} raw - Raw property value
+ * @returns {{value:*, error:(string|undefined)}}
+ */
+function parseConfigValue_(entry, raw) {
+  var text = raw === undefined || raw === null ? "" : String(raw).trim();
+
+  if (text === "") {
+    if (entry.required) {
+      return { value: entry.type === "emails" ? [] : "", error: entry.key + " is missing" };
+    }
+    return { value: entry.defaultValue };
   }
+
+  switch (entry.type) {
+    case "number": {
+      var num = Number(text);
+      if (isNaN(num) ||
+          (typeof entry.min === "number" && num < entry.min) ||
+          (typeof entry.max === "number" && num > entry.max)) {
+        return {
+          value: entry.defaultValue,
+          error: entry.key + " must be a number between " + entry.min + " and " + entry.max + " (got \"" + text + "\")"
+        };
+      }
+      return { value: num };
+    }
+    case "boolean": {
+      var lower = text.toLowerCase();
+      if (["true", "yes", "1", "on"].indexOf(lower) !== -1) return { value: true };
+      if (["false", "no", "0", "off"].indexOf(lower) !== -1) return { value: false };
+      return { value: entry.defaultValue, error: entry.key + " must be true or false (got \"" + text + "\")" };
+    }
+    case "choice": {
+      var choice = text.toLowerCase();
+      if (entry.options.indexOf(choice) === -1) {
+        return {
+          value: entry.defaultValue,
+          error: entry.key + " must be one of " + entry.options.join(", ") + " (got \"" + text + "\")"
+        };
+      }
+      return { value: choice };
+    }
+    case "list": {
+      return {
+        value: text.split(/\s*[,\n]\s*/).filter(function(item) { return item !== ""; })
+      };
+    }
+    case "forms":
+      return parseFormsTable_(entry, text);
+    case "secret": {
+      if (entry.minLength && text.length < entry.minLength) {
+        return { value: entry.defaultValue, error: entry.key + " must be at least " + entry.minLength + " characters long" };
+      }
+      return { value: text };
+    }
+    case "urls": {
+      var urls = text.split(/[,\s]+/).filter(function(url) { return url !== ""; });
+      var insecure = urls.filter(function(url) { return !/^https:\/\/[^\/?#\s]+/i.test(url); });
+      if (insecure.length > 0) {
+        return { value: urls, error: entry.key + " must list https:// URLs (got " + insecure.join(", ") + ")" };
+      }
+      return { value: urls };
+    }
+    case "emails": {
+      var list = text.split(/[,;\s]+/).filter(function(addr) { return addr !== ""; });
+      var invalid = list.filter(function(addr) { return !isValidEmail_(addr); });
+      if (invalid.length > 0) {
+        return { value: list, error: entry.key + " has invalid address(es): " + invalid.join(", ") };
+      }
+      return { value: list };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Random value for "secret" config entries
+ * @returns {string} - 64 hex characters
+ */
+function generateSecret_() {
+  return (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, "");
+}
+
+/**
+ * Open the sheet (tab) that receives submissions
+ * @param {Object} config - From getConfig_(), or getFormConfig_() for a form's own sheet
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getSubmissionSheet_(config) {
+  var spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+  if (!config.sheetName) {
+    return spreadsheet.getSheets()[0];
+  }
+  var sheet = spreadsheet.getSheetByName(config.sheetName);
+  if (!sheet) {
+    throw new Error("Sheet \"" + config.sheetName + "\" not found in spreadsheet " + config.spreadsheetId);
+  }
+  return sheet;
+}
+
+/** Form ID of submissions that don't send one (single-form sites, older clients) */
+var DEFAULT_FORM_ID_ = "default";
+
+/** Accepted format of form IDs (FORMS keys and AppConfig.formId) */
+var FORM_ID_PATTERN_ = /^[A-Za-z0-9_-]{1,40}$/;
+
+/** Script Properties a FORMS entry may set for its form (all others are shared) */
+var FORM_SETTING_KEYS_ = [
+  "SPREADSHEET_ID", "SHEET_NAME", "NOTIFY_RECIPIENTS", "REPLY_TO_SUBMITTER", "DIGEST_RECIPIENTS", "LEAD_ASSIGNEES",
+  "AUTO_REPLY_ENABLED", "AUTO_REPLY_SUBJECT", "AUTO_REPLY_MESSAGE", "AUTO_REPLY_FROM_NAME", "AUTO_REPLY_REPLY_TO",
+  "SPAM_EXPECTED_SCRIPTS", "WEBHOOK_URLS", "RETENTION_DAYS"
+];
+
+/** Schema field recording consent; its `version` is stored with each submission */
+var CONSENT_FIELD_ID_ = "consent";
+
+/** Field rules a FORMS entry may change (see FormContract.fields) */
+var FORM_FIELD_RULES_ = ["minLength", "maxLength", "minDigits", "maxDigits", "pattern"];
+
+/**
+ * Parse the FORMS Script Property: a JSON object keyed by form ID, e.g.
+ *   {"partners": {"SHEET_NAME": "Partners", "NOTIFY_RECIPIENTS": "partners@example.com",
+ *                 "FIELDS": {"phone": {"required": false}, "message": {"rules": {"maxLength": 500}}}}}
+ * Settings use the property names in FORM_SETTING_KEYS_ and are checked like
+ * the properties themselves. FIELDS changes `required`, `rules`
+ * (FORM_FIELD_RULES_; patterns as strings) and `messages` of schema fields.
+ * @param {Object} entry - CONFIG_SCHEMA_ entry
+ * @param {string} text - Raw property value
+ * @returns {{value:Object, error:(string|undefined)}} - value maps each form ID
+ *          to { settings: config fields, fields: field changes }
+ */
+function parseFormsTable_(entry, text) {
+  var table;
+  try {
+    table = JSON.parse(text);
+  } catch (err) {
+    return { value: {}, error: entry.key + " is not valid JSON (" + err.message + ")" };
+  }
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    return { value: {}, error: entry.key + " must be a JSON object keyed by form ID" };
+  }
+
+  var forms = {};
+  var problems = [];
+  Object.keys(table).forEach(function(formId) {
+    var prefix = entry.key + "." + formId + ": ";
+    var source = table[formId];
+    if (!FORM_ID_PATTERN_.test(formId)) {
+      problems.push(entry.key + " has an invalid form ID \"" + formId + "\" (use up to 40 letters, digits, - and _)");
+      return;
+    }
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      problems.push(prefix + "settings must be a JSON object");
+      return;
+    }
+
+    var form = { settings: {}, fields: {} };
+    Object.keys(source).forEach(function(key) {
+      if (key === "FIELDS") {
+        form.fields = parseFormFields_(source.FIELDS, prefix, problems);
+        return;
+      }
+      var setting = FORM_SETTING_KEYS_.indexOf(key) === -1 ? null : CONFIG_SCHEMA_.filter(function(candidate) {
+        return candidate.key === key;
+      })[0];
+      if (!setting) {
+        problems.push(prefix + key + " can't be set per form");
+        return;
+      }
+      var value = source[key];
+      var parsed = parseConfigValue_(setting, Array.isArray(value) ? value.join(",") : value);
+      if (parsed.error) {
+        problems.push(prefix + parsed.error);
+      }
+      form.settings[setting.name] = parsed.value;
+    });
+    forms[formId] = form;
+  });
+
+  return problems.length > 0 ? { value: forms, error: problems.join("; ") } : { value: forms };
+}
+
+/**
+ * Parse the FIELDS part of one FORMS entry
+ * @param {*} source - e.g. {"phone": {"required": false, "rules": {"pattern": "^[0-9 ]+$"}, "messages": {"pattern": "..."}}}
+ * @param {string} prefix - Start of problem messages ("FORMS.<formId>: ")
+ * @param {Array<string>} problems - Problems are appended here
+ * @returns {Object} - Changes keyed by field id (patterns still strings)
+ */
+function parseFormFields_(source, prefix, problems) {
+  var changes = {};
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    problems.push(prefix + "FIELDS must be a JSON object keyed by field id");
+    return changes;
+  }
+
+  Object.keys(source).forEach(function(fieldId) {
+    var known = FormContract.fields.some(function(field) { return field.id === fieldId; });
+    if (!known) {
+      problems.push(prefix + "FIELDS has an unknown field \"" + fieldId + "\"");
+      return;
+    }
+    var field = source[fieldId] || {};
+    var change = { rules: {}, messages: {} };
+
+    if (field.required !== undefined) {
+      if (typeof field.required !== "boolean") {
+        problems.push(prefix + fieldId + ".required must be true or false");
+      }
+      change.required = field.required === true;
+    }
+
+    var rules = field.rules || {};
+    Object.keys(rules).forEach(function(rule) {
+      var value = rules[rule];
+      if (FORM_FIELD_RULES_.indexOf(rule) === -1) {
+        problems.push(prefix + fieldId + ".rules." + rule + " is not supported (" + FORM_FIELD_RULES_.join(", ") + ")");
+      } else if (rule === "pattern") {
+        try {
+          new RegExp(String(value));
+          change.rules.pattern = String(value);
+        } catch (err) {
+          problems.push(prefix + fieldId + ".rules.pattern is not a valid regular expression");
+        }
+      } else if (typeof value !== "number" || !(value >= 0)) {
+        problems.push(prefix + fieldId + ".rules." + rule + " must be a number of 0 or more");
+      } else {
+        change.rules[rule] = value;
+      }
+    });
+
+    var messages = field.messages || {};
+    Object.keys(messages).forEach(function(key) {
+      change.messages[key] = String(messages[key]);
+    });
+    changes[fieldId] = change;
+  });
+  return changes;
+}
+
+/**
+ * Settings of one form: the deployment config with its FORMS entry applied
+ * The default form (no form ID, or "default") uses the Script Properties
+ * as they are, plus FORMS.default if present.
+ * @param {Object} config - From getConfig_()
+ * @param {*} formId - Form ID sent by the client (AppConfig.formId)
+ * @returns {Object} - Config plus `formId` and `fields` (FormContract.fields with the form's rule changes)
+ * @throws {Error} - UNKNOWN_FORM if the ID is not in FORMS
+ */
+function getFormConfig_(config, formId) {
+  var id = clampText_(formId, 100) || DEFAULT_FORM_ID_;
+  var form = Object.prototype.hasOwnProperty.call(config.forms, id) ? config.forms[id] : null;
+  if (!form && id !== DEFAULT_FORM_ID_) {
+    throw submissionError_(FormContract.errorCodes.UNKNOWN_FORM, "Unknown form \"" + id + "\".");
+  }
+  form = form || { settings: {}, fields: {} };
+
+  return mergeObjects_(config, form.settings, {
+    formId: id,
+    fields: FormContract.fields.map(function(field) {
+      var change = form.fields[field.id];
+      if (!change) {
+        return field;
+      }
+      var rules = mergeObjects_(field.rules, change.rules);
+      if (typeof rules.pattern === "string") {
+        rules.pattern = new RegExp(rules.pattern);
+      }
+      return mergeObjects_(field, change, { rules: rules, messages: mergeObjects_(field.messages, change.messages) });
+    })
+  });
+}
+
+/**
+ * Every form this deployment serves, the default form first
+ * @param {Object} config - From getConfig_()
+ * @returns {Array<Object>} - See getFormConfig_
+ */
+function listFormConfigs_(config) {
+  var ids = Object.keys(config.forms).filter(function(id) {
+    return id !== DEFAULT_FORM_ID_;
+  });
+  return [DEFAULT_FORM_ID_].concat(ids).map(function(id) {
+    return getFormConfig_(config, id);
+  });
+}
+
+/**
+ * Rows of a submission sheet that belong to one form
+ * Forms may share a tab; rows without a Form ID belong to the default form.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The form's sheet (getSubmissionSheet_)
+ * @param {string} formId
+ * @returns {Array<Object>} - See readSubmissionRows_
+ */
+function readFormRows_(sheet, formId) {
+  return readSubmissionRows_(sheet).filter(function(record) {
+    return (String(record.formId || "").trim() || DEFAULT_FORM_ID_) === formId;
+  });
+}
+
+/**
+ * One-time setup: seed defaults for optional Script Properties and validate
+ * all values (including access to the spreadsheet and tab).
+ * Run from the Apps Script editor after setting SPREADSHEET_ID and
+ * NOTIFY_RECIPIENTS in Project Settings → Script Properties.
+ * Web app callers are refused (see requireTriggerOrAdmin_).
+ * @returns {{ok:boolean, problems:Array<string>, report:string}}
+ */
+function setup() {
+  requireTriggerOrAdmin_();
+  var store = PropertiesService.getScriptProperties();
+  var props = store.getProperties();
+  var lines = [];
+  var problems = [];
+
+  CONFIG_SCHEMA_.forEach(function(entry) {
+    var raw = props[entry.key];
+    var isSet = raw !== undefined && String(raw).trim() !== "";
+
+    // Seed optional keys so they show up in Project Settings with their defaults
+    if (!isSet && !entry.required) {
+      raw = entry.type === "forms" ? JSON.stringify(entry.defaultValue) : String(entry.defaultValue);
+      store.setProperty(entry.key, raw);
+    }
+    // Generate required secrets (and those marked `generate`) that have not been set
+    if (!isSet && entry.type === "secret" && (entry.required || entry.generate)) {
+      raw = generateSecret_();
+      store.setProperty(entry.key, raw);
+    }
+
+    var parsed = parseConfigValue_(entry, raw);
+    if (parsed.error) {
+      problems.push(parsed.error);
+      lines.push("✗ " + parsed.error + " - " + entry.description);
+    } else if (entry.type === "forms") {
+      var formIds = Object.keys(parsed.value);
+      lines.push("✓ " + entry.key + ": " + (formIds.length > 0 ? formIds.join(", ") : "no other forms"));
+    } else if (entry.type === "secret") {
+      lines.push("✓ " + entry.key + (parsed.value ? " is set" + (isSet ? "" : " (generated)") : " is not set"));
+    } else {
+      lines.push("✓ " + entry.key + " = " + JSON.stringify(parsed.value));
+    }
+  });
+
+  // Check that each form's spreadsheet and tab are reachable with these settings
+  CONFIG_CACHE_ = null;
+  if (problems.length === 0) {
+    listFormConfigs_(getConfig_()).forEach(function(form) {
+      var label = form.formId === DEFAULT_FORM_ID_ ? "" : "Form \"" + form.formId + "\": ";
+      try {
+        var sheet = getSubmissionSheet_(form);
+        lines.push("✓ " + label + "Writing to \"" + sheet.getName() + "\"");
+        lines.push("✓ " + label + ensureLeadValidation_(sheet, form));
+      } catch (err) {
+        problems.push(label + err.message);
+        lines.push("✗ " + label + err.message);
+      }
+    });
+  }
+
+  // Digest emails (NOTIFICATION_MODE digest/both) are sent by a time-driven trigger
+  if (problems.length === 0) {
+    try {
+      lines.push("✓ " + ensureDigestTrigger_(getConfig_()));
+    } catch (err) {
+      problems.push("Could not install the " + DIGEST_TRIGGER_HANDLER_ + " trigger: " + err.message);
+      lines.push("✗ " + problems[problems.length - 1]);
+    }
+  }
+
+  // Emails that hit the daily quota are retried by an hourly trigger
+  try {
+    var created = ensureUnsentMailTrigger_();
+    lines.push("✓ Hourly trigger for " + UNSENT_MAIL_TRIGGER_HANDLER_ + (created ? " installed" : " present"));
+  } catch (err) {
+    problems.push("Could not install the " + UNSENT_MAIL_TRIGGER_HANDLER_ + " trigger: " + err.message);
+    lines.push("✗ " + problems[problems.length - 1]);
+  }
+
+  // Queued and failed webhook deliveries are sent by a trigger every 5 minutes
+  if (problems.length === 0) {
+    var hasWebhooks = listFormConfigs_(getConfig_()).some(function(form) {
+      return form.webhookUrls.length > 0;
+    });
+    try {
+      if (hasWebhooks) {
+        var hookTrigger = ensureWebhookRetryTrigger_();
+        lines.push("✓ Trigger for " + WEBHOOK_RETRY_TRIGGER_HANDLER_ + (hookTrigger ? " installed" : " present"));
+      } else {
+        lines.push("✓ No webhooks (WEBHOOK_URLS is empty)");
+      }
+    } catch (err) {
+      problems.push("Could not install the " + WEBHOOK_RETRY_TRIGGER_HANDLER_ + " trigger: " + err.message);
+      lines.push("✗ " + problems[problems.length - 1]);
+    }
+  }
+
+  // Submissions past RETENTION_DAYS are anonymized by a daily trigger
+  if (problems.length === 0) {
+    try {
+      lines.push("✓ " + ensurePurgeTrigger_(listFormConfigs_(getConfig_())));
+    } catch (err) {
+      problems.push("Could not install the " + PURGE_TRIGGER_HANDLER_ + " trigger: " + err.message);
+      lines.push("✗ " + problems[problems.length - 1]);
+    }
+  }
+
+  var report = "Setup " + (problems.length === 0 ? "complete" : "found " + problems.length + " problem(s)") + ":\n" + lines.join("\n");
+  Logger.log(report);
+  return { ok: problems.length === 0, problems: problems, report: report };
+}
+
+/**
+ * Parse request data from different formats
+ * Supports both JSON and form-urlencoded (URLSearchParams) formats
+ * @param {Object} e - Event object containing request data
+ * @returns {Object} - Parsed form data object
+ */
+function parseRequestData_(e) {
+  var data = {};
+  
+  try {
+    // Check if request has postData (for Web Apps)
+    if (e.postData && e.postData.contents) {
+      var contentType = e.postData.type || "";
+      var contents = e.postData.contents;
+      
+      // Handle JSON format
+      if (contentType.indexOf("application/json") !== -1) {
+        data = JSON.parse(contents);
+      }
+      // Handle form-urlencoded format
+      else if (contentType.indexOf("application/x-www-form-urlencoded") !== -1 || 
+               contentType.indexOf("application/x-www-form-urlencoded") === -1 && contents.indexOf("=") !== -1) {
+        // Parse URL-encoded string
+        var params = contents.split("&");
+        for (var i = 0; i < params.length; i++) {
+          var pair = params[i].split("=");
+          if (pair.length === 2) {
+            var key = decodeURIComponent(pair[0].replace(/\+/g, " "));
+            var value = decodeURIComponent(pair[1].replace(/\+/g, " "));
+            data[key] = value;
+          }
+        }
+      }
+    }
+    // Handle direct parameter access (alternative method)
+    else if (e.parameter) {
+      data = e.parameter;
+    }
+  } catch (parseError) {
+    Logger.log("Error parsing request data: " + parseError.toString());
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "Invalid request data format.");
+  }
+  
+  return data;
+}
+
+/**
+ * Hard upper bound for any single field value (DoS guard)
+ * Applies on top of the schema rules, e.g. to fields without maxLength
+ */
+var MAX_FIELD_LENGTH_ = 5000;
+
+/**
+ * Sanitize input to prevent XSS and injection attacks
+ * Never truncates - length limits are enforced (and rejected) by validateRecord_
+ * @param {string} input - Raw input string
+ * @returns {string} - Sanitized string
+ */
+function sanitizeInput_(input) {
+  if (!input || typeof input !== "string") {
+    return "";
+  }
+  
+  // Remove potentially dangerous characters and trim whitespace
+  var sanitized = input.trim();
+  
+  // Remove HTML tags
+  sanitized = sanitized.replace(/<[^>]*>/g, "");
+  
+  return sanitized;
+}
+
+/**
+ * Validate sanitized values against the shared field schema
+ * @param {Array<Object>} fields - Field definitions (FormContract.fields)
+ * @param {Object} record - Map of field id to sanitized value
+ * @returns {Object} - Map of field id to error message (empty when valid)
+ */
+function validateRecord_(fields, record) {
+  var errors = FormContract.validateValues(fields, record);
+  fields.forEach(function(field) {
+    if (!errors[field.id] && String(record[field.id] || "").length > MAX_FIELD_LENGTH_) {
+      errors[field.id] = (field.label || field.id) + " is too long";
+    }
+  });
+  return errors;
+}
+
+/**
+ * Submission sheet columns, in the order used for new sheets
+ * Schema fields come first (A=Name, B=Phone Number, C=Email, D=Message for the
+ * default schema) followed by server and client metadata and the lead workflow
+ * columns staff fill in. Columns are found by header title at write time, so
+ * staff may reorder them or add their own.
+ * @returns {Array<{key:string, header:string}>}
+ */
+function getSubmissionColumns_() {
+  var columns = FormContract.fields.map(function(field) {
+    return { key: field.id, header: field.header || field.label || field.id };
+  });
+  return columns.concat([
+    { key: "receivedAt", header: "Received At" },
+    { key: "submissionId", header: "Submission ID" },
+    { key: "clientTimestamp", header: "Client Timestamp" },
+    { key: "pageLoadedAt", header: "Page Loaded At" },
+    { key: "elapsedMs", header: "Time To Submit (ms)" },
+    { key: "userAgent", header: "User Agent" },
+    { key: "viewport", header: "Viewport" },
+    { key: "formVersion", header: "Form Version" },
+    { key: "formId", header: "Form ID" },
+    { key: "consentVersion", header: "Consent Version" },
+    { key: "source", header: "Source" },
+    { key: "spam", header: "Spam" },
+    { key: "spamScore", header: "Spam Score" },
+    { key: "spamReasons", header: "Spam Reasons" },
+    { key: "status", header: "Status" },
+    { key: "statusUpdatedAt", header: "Status Updated" },
+    { key: "assignee", header: "Assignee" },
+    { key: "lastContactedAt", header: "Last Contacted" },
+    { key: "notes", header: "Notes" },
+    { key: "anonymizedAt", header: "Anonymized At" }
+  ]);
+}
+
+/** Normalise a header title for matching (case/whitespace-insensitive) */
+function normalizeHeader_(title) {
+  return String(title || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Make sure row 1 holds a header for every submission column
+ * - Empty sheet: writes the full header row
+ * - Existing header row: appends any missing headers at the end
+ * - Legacy sheet with data but no headers: inserts a header row above it
+ *   (legacy rows were written in default column order)
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @returns {Array<string>} - Header titles as they appear in row 1
+ */
+function ensureSubmissionHeaders_(sheet) {
+  var columns = getSubmissionColumns_();
+  var lastColumn = sheet.getLastColumn();
+  var headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  var known = {};
+  columns.forEach(function(column) { known[normalizeHeader_(column.header)] = true; });
+
+  var hasHeaderRow = headers.some(function(title) { return known[normalizeHeader_(title)]; });
+  if (!hasHeaderRow) {
+    if (sheet.getLastRow() > 0) {
+      sheet.insertRowBefore(1);
+    }
+    headers = columns.map(function(column) { return column.header; });
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    return headers;
+  }
+
+  var present = {};
+  headers.forEach(function(title) { present[normalizeHeader_(title)] = true; });
+  var missing = columns.filter(function(column) {
+    return !present[normalizeHeader_(column.header)];
+  }).map(function(column) { return column.header; });
+
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]).setFontWeight("bold");
+    headers = headers.concat(missing);
+  }
+  return headers;
+}
+
+/**
+ * Append one submission, placing each value under its header
+ * Columns the script does not know (added by staff) are left empty
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Object} values - Values keyed by submission column key
+ */
+function writeSubmissionRow_(sheet, values) {
+  var headers = ensureSubmissionHeaders_(sheet);
+  var keyByHeader = submissionKeyByHeader_();
+
+  var row = headers.map(function(title) {
+    var key = keyByHeader[normalizeHeader_(title)];
+    var value = key ? values[key] : "";
+    return value === undefined || value === null ? "" : value;
+  });
+  // Rows appendRow adds past the end have no Status/Assignee dropdowns
+  if (sheet.getLastRow() >= sheet.getMaxRows()) {
+    extendLeadValidation_(sheet, headers);
+  }
+  sheet.appendRow(encodeSheetRow_(row));
+}
+
+/**
+ * Read every data row as an object keyed by submission column key
+ * Columns the script does not know are skipped
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @returns {Array<Object>} - One object per row, with `row` (1-based sheet row)
+ */
+function readSubmissionRows_(sheet) {
+  var lastRow = sheet.getLastRow();
+  var lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || lastColumn < 1) {
+    return [];
+  }
+
+  var values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+  var keys = submissionKeys_(values[0]);
+  return values.slice(1).map(function(cells, index) {
+    return submissionRecord_(keys, cells, index + 2);
+  });
+}
+
+/**
+ * Read a few columns of every data row - for filtering large sheets without
+ * reading every cell (see readSubmissionRowsAt_ for the rows that match)
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Array<string>} wanted - Submission column keys
+ * @returns {Array<Object>} - One object per row with `row` and the wanted keys ("" if the column is missing)
+ */
+function readSubmissionColumns_(sheet, wanted) {
+  var lastRow = sheet.getLastRow();
+  var lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || lastColumn < 1) {
+    return [];
+  }
+
+  var keys = submissionKeys_(sheet.getRange(1, 1, 1, lastColumn).getValues()[0]);
+  var records = [];
+  for (var row = 2; row <= lastRow; row++) {
+    records.push({ row: row });
+  }
+  wanted.forEach(function(key) {
+    var column = keys.indexOf(key);
+    var cells = column === -1 ? null : sheet.getRange(2, column + 1, lastRow - 1, 1).getValues();
+    records.forEach(function(record, index) {
+      record[key] = cells ? cells[index][0] : "";
+    });
+  });
+  return records;
+}
+
+/** Rows between two wanted rows that are read anyway rather than starting another read */
+var ROW_READ_MAX_GAP_ = 50;
+
+/**
+ * Read the given data rows in full; nearby rows share one range read
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Array<number>} rows - 1-based sheet rows
+ * @returns {Object<number, Object>} - Records (see readSubmissionRows_) keyed by row
+ */
+function readSubmissionRowsAt_(sheet, rows) {
+  var byRow = {};
+  if (rows.length === 0) {
+    return byRow;
+  }
+
+  var lastColumn = sheet.getLastColumn();
+  var keys = submissionKeys_(sheet.getRange(1, 1, 1, lastColumn).getValues()[0]);
+  var sorted = rows.slice().sort(function(a, b) { return a - b; });
+  var first = sorted[0];
+  for (var i = 1; i <= sorted.length; i++) {
+    if (i < sorted.length && sorted[i] - sorted[i - 1] <= ROW_READ_MAX_GAP_) {
+      continue;
+    }
+    var values = sheet.getRange(first, 1, sorted[i - 1] - first + 1, lastColumn).getValues();
+    values.forEach(function(cells, index) {
+      byRow[first + index] = submissionRecord_(keys, cells, first + index);
+    });
+    first = sorted[i];
+  }
+  return byRow;
+}
+
+/**
+ * Read one data row as an object keyed by submission column key
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} row - 1-based sheet row
+ * @returns {Object} - See readSubmissionRows_
+ */
+function readSubmissionRow_(sheet, row) {
+  var lastColumn = sheet.getLastColumn();
+  var headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  var cells = sheet.getRange(row, 1, 1, lastColumn).getValues()[0];
+  return submissionRecord_(submissionKeys_(headers), cells, row);
+}
+
+/**
+ * Submission column key of each header cell (null for unknown columns)
+ * @param {Array<string>} headers - Row 1
+ * @returns {Array<string|null>}
+ */
+function submissionKeys_(headers) {
+  var keyByHeader = submissionKeyByHeader_();
+  return headers.map(function(title) {
+    return keyByHeader[normalizeHeader_(title)] || null;
+  });
+}
+
+/**
+ * @param {Array<string|null>} keys - From submissionKeys_
+ * @param {Array<*>} cells - Row values
+ * @param {number} row - 1-based sheet row
+ * @returns {Object}
+ */
+function submissionRecord_(keys, cells, row) {
+  var record = { row: row };
+  keys.forEach(function(key, column) {
+    if (key) {
+      record[key] = cells[column];
+    }
+  });
+  return record;
+}
+
+/**
+ * Map of normalised header title to submission column key
+ * @returns {Object}
+ */
+function submissionKeyByHeader_() {
+  var keyByHeader = {};
+  getSubmissionColumns_().forEach(function(column) {
+    keyByHeader[normalizeHeader_(column.header)] = column.key;
+  });
+  return keyByHeader;
+}
+
+/**
+ * Column number of a submission column in the sheet's header row
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} key - Column key (see getSubmissionColumns_)
+ * @returns {number} - 1-based column, or 0 if the sheet has no such header
+ */
+function findSubmissionColumn_(sheet, key) {
+  var lastColumn = sheet.getLastColumn();
+  var column = getSubmissionColumns_().filter(function(c) { return c.key === key; })[0];
+  if (!column || lastColumn < 1) {
+    return 0;
+  }
+  var headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(function(title) {
+    return normalizeHeader_(title);
+  });
+  return headers.indexOf(normalizeHeader_(column.header)) + 1;
+}
+
+/**
+ * Find the data row holding a submission ID
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} submissionId
+ * @returns {number} - 1-based row, or 0 if not found
+ */
+function findSubmissionRow_(sheet, submissionId) {
+  var column = findSubmissionColumn_(sheet, "submissionId");
+  var lastRow = sheet.getLastRow();
+  if (!column || lastRow < 2) {
+    return 0;
+  }
+  var match = sheet.getRange(2, column, lastRow - 1, 1)
+    .createTextFinder(submissionId)
+    .matchEntireCell(true)
+    .findNext();
+  return match ? match.getRow() : 0;
+}
+
+/**
+ * Values starting with one of these characters are evaluated as formulas by
+ * Google Sheets / Excel / LibreOffice (=, +, -, @, plus tab and carriage return
+ * which some apps strip before parsing, and the full-width variants)
+ */
+var FORMULA_TRIGGER_PATTERN_ = /^[=+\-@\t\r\uFF1D\uFF0B\uFF0D\uFF20]/;
+
+/**
+ * Neutralise a value before writing it to a sheet cell
+ * A leading apostrophe forces Sheets to store the cell as plain text; the
+ * apostrophe itself is not part of the cell value, so the original text is
+ * preserved exactly (e.g. "+1 555 0100" stays a phone number, not a formula)
+ * @param {*} value - Raw cell value
+ * @returns {*} - Safe cell value (non-strings are returned unchanged)
+ */
+function encodeSheetValue_(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  return FORMULA_TRIGGER_PATTERN_.test(value) ? "'" + value : value;
+}
+
+/**
+ * Neutralise every value of a row before appendRow/setValues
+ * @param {Array} values - Row values
+ * @returns {Array} - Safe row values
+ */
+function encodeSheetRow_(values) {
+  return values.map(encodeSheetValue_);
+}
+
+/**
+ * Encode one CSV cell: neutralise formula-leading values, then quote
+ * Unlike in Sheets, the apostrophe stays visible in the exported text - it is
+ * the standard (OWASP) mitigation and keeps the rest of the value intact
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+function encodeCsvCell_(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  var text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_TRIGGER_PATTERN_.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document from rows of values
+ * @param {Array<Array>} rows - Rows (first row is usually the header)
+ * @returns {string} - CSV text (CRLF line endings, RFC 4180)
+ */
+function toCsv_(rows) {
+  return rows.map(function(row) {
+    return row.map(encodeCsvCell_).join(",");
+  }).join("\r\n");
+}
+
+/**
+ * Validate email address format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid email format
+ */
+function isValidEmail_(email) {
+  if (!email || typeof email !== "string") {
+    return false;
+  }
+  
+  // Basic email validation regex
+  var emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailPattern.test(email.trim());
+}
+
+/**
+ * Create standardized response with CORS headers
+ * @param {Object|string} data - Response data (object will be JSON stringified)
+ * @param {number} statusCode - HTTP status code (for reference, not directly used)
+ * @returns {ContentService.TextOutput} - Formatted response with CORS headers
+ */
+function createResponse_(data, statusCode) {
+  var responseText;
+  
+  // Convert object to JSON string if needed
+  if (typeof data === "object") {
+    responseText = JSON.stringify(data);
+  } else {
+    responseText = data || "";
+  }
+  
+  // Create response with proper MIME type
+  var mimeType = typeof data === "object" ? 
+    ContentService.MimeType.JSON : 
+    ContentService.MimeType.TEXT;
+  
+  // Build response with CORS headers
+  // Note: Google Apps Script Web Apps have limitations with CORS headers.
+  // We use multiple response methods for maximum compatibility:
+  // 1. Standard JSON/TEXT with explicit CORS headers (for modern browsers)
+  // 2. HTML wrapper method (fallback for CORS-restricted environments)
+  var output = ContentService
+    .createTextOutput(responseText)
+    .setMimeType(mimeType);
+  
+  // Set CORS headers - these may not always work due to Google Apps Script limitations
+  try {
+    output.setHeader("Access-Control-Allow-Origin", "*");
+    output.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS, GET");
+    output.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    output.setHeader("Access-Control-Max-Age", "3600");
+  } catch (e) {
+    // If header setting fails, continue without headers
+    Logger.log("Could not set CORS headers: " + e.toString());
+  }
+  
+  return output;
+}
+
+/** Possible outcomes of scoreSubmission_ */
+var SPAM_VERDICTS_ = {
+  OK: "ok",         // Below SPAM_FLAG_SCORE
+  FLAG: "flag",     // Stored and emailed, marked "yes" in the Spam column
+  SILENT: "silent", // Stored and marked, no notification or auto-reply
+  REJECT: "reject"  // Refused with SPAM_DETECTED
+};
+
+/** Character ranges used to tell writing systems apart */
+var SCRIPT_RANGES_ = {
+  Latin: /[A-Za-z\u00C0-\u024F]/,
+  Cyrillic: /[\u0400-\u04FF]/,
+  Greek: /[\u0370-\u03FF]/,
+  Arabic: /[\u0600-\u06FF\u0750-\u077F]/,
+  Hebrew: /[\u0590-\u05FF]/,
+  Devanagari: /[\u0900-\u097F]/,
+  Thai: /[\u0E00-\u0E7F]/,
+  CJK: /[\u3040-\u30FF\u4E00-\u9FFF\uAC00-\uD7AF]/
+};
+
+/**
+ * Score a submission for spam from several weak signals
+ * Weights: honeypot 10, submitted too fast 4 (no timing at all 2), links 1 for
+ * one and 2 each from two (max 6), long character runs 2, spam phrases 2 each
+ * (max 6), words mixing Latin with Cyrillic/Greek look-alikes 3, message in an
+ * unexpected writing system 3
+ * @param {Object} record - Sanitized field values
+ * @param {Object} meta - From readSubmissionMeta_ (elapsedMs)
+ * @param {string} honeypot - Value of the hidden honeypot field
+ * @param {Object} config - From getFormConfig_() (SPAM_* settings)
+ * @returns {{score:number, reasons:Array<string>, verdict:string}}
+ */
+function scoreSubmission_(record, meta, honeypot, config) {
+  var score = 0;
+  var reasons = [];
+  function add(points, reason) {
+    if (points > 0) {
+      score += points;
+      reasons.push(reason + " +" + points);
+    }
+  }
+
+  // Honeypot must stay empty
+  if (honeypot && honeypot.trim() !== "") {
+    add(10, "honeypot");
+  }
+
+  // Time from page load to submit
+  if (meta.elapsedMs === "" || meta.elapsedMs <= 0) {
+    add(2, "no timing");
+  } else if (meta.elapsedMs < config.spamMinSubmitSeconds * 1000) {
+    add(4, "submitted in " + Math.round(meta.elapsedMs) + "ms");
+  }
+
+  // Content signals over every schema field
+  var text = FormContract.fields.map(function(field) { return record[field.id] || ""; }).join("\n");
+  var lower = text.toLowerCase();
+
+  var urls = (text.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+  if (urls > 0) {
+    add(urls === 1 ? 1 : Math.min(2 * urls, 6), urls + " link(s)");
+  }
+
+  if (/(.)\1{9,}/.test(text)) {
+    add(2, "repeated characters");
+  }
+
+  var phrases = config.spamPhrases.filter(function(phrase) {
+    return phrase && lower.indexOf(phrase.toLowerCase()) !== -1;
+  });
+  if (phrases.length > 0) {
+    add(Math.min(2 * phrases.length, 6), "phrases: " + phrases.join("/"));
+  }
+
+  // Script mismatch: homoglyph words, or a message in an unexpected writing system
+  var mixedWords = (text.match(/\S+/g) || []).filter(function(word) {
+    return SCRIPT_RANGES_.Latin.test(word) &&
+      (SCRIPT_RANGES_.Cyrillic.test(word) || SCRIPT_RANGES_.Greek.test(word));
+  });
+  if (mixedWords.length > 0) {
+    add(3, "mixed-script words");
+  }
+
+  var dominant = dominantScript_(record.message || text);
+  if (dominant && config.spamExpectedScripts.length > 0 &&
+      config.spamExpectedScripts.map(function(name) { return name.toLowerCase(); })
+        .indexOf(dominant.toLowerCase()) === -1) {
+    add(3, "unexpected script " + dominant);
+  }
+
+  var verdict = SPAM_VERDICTS_.OK;
+  if (score >= config.spamRejectScore) {
+    verdict = SPAM_VERDICTS_.REJECT;
+  } else if (score >= config.spamSilentScore) {
+    verdict = SPAM_VERDICTS_.SILENT;
+  } else if (score >= config.spamFlagScore) {
+    verdict = SPAM_VERDICTS_.FLAG;
+  }
+
+  return { score: score, reasons: reasons, verdict: verdict };
+}
+
+/**
+ * Writing system used by most letters of a text
+ * @param {string} text
+ * @returns {string} - Key of SCRIPT_RANGES_, or "" if no letters matched
+ */
+function dominantScript_(text) {
+  var counts = {};
+  var best = "";
+  String(text || "").split("").forEach(function(ch) {
+    Object.keys(SCRIPT_RANGES_).some(function(name) {
+      if (SCRIPT_RANGES_[name].test(ch)) {
+        counts[name] = (counts[name] || 0) + 1;
+        if (!best || counts[name] > counts[best]) {
+          best = name;
+        }
+        return true;
+      }
+      return false;
+    });
+  });
+  return best;
+}
+
+/**
+ * Issue a form token: "<issuedAtMs>.<nonce>.<signature>"
+ * The signature is an HMAC-SHA256 of "<issuedAtMs>.<nonce>" with TOKEN_SECRET,
+ * so tokens need no server-side storage until they are used
+ * @param {Object} config - From getConfig_()
+ * @returns {{status:string, token:string, expiresIn:number}}
+ */
+function issueFormToken_(config) {
+  var payload = Date.now() + "." + Utilities.getUuid().replace(/-/g, "");
+  return {
+    status: "success",
+    token: payload + "." + signValue_(payload, config.tokenSecret),
+    expiresIn: config.tokenMaxAgeSeconds
+  };
+}
+
+/**
+ * Check a form token's signature, age and single use
+ * @param {*} token - Value of the formToken request field
+ * @param {Object} config - From getConfig_()
+ * @returns {string} - The token nonce (pass to consumeNonce_)
+ * @throws {Error} - INVALID_TOKEN
+ */
+function verifyFormToken_(token, config) {
+  var parts = String(token || "").split(".");
+  var reason = "";
+
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !/^[0-9a-f]{32}$/.test(parts[1])) {
+    reason = token ? "malformed" : "missing";
+  } else if (!constantTimeEquals_(parts[2], signValue_(parts[0] + "." + parts[1], config.tokenSecret))) {
+    reason = "bad signature";
+  } else {
+    var age = Date.now() - Number(parts[0]);
+    // Allow a minute of clock skew between Google's servers
+    if (age < -60000 || age > config.tokenMaxAgeSeconds * 1000) {
+      reason = "expired";
+    } else if (isNonceUsed_("token", parts[1])) {
+      reason = "already used";
+    }
+  }
+
+  if (reason) {
+    Logger.log("Form token rejected: " + reason);
+    throw submissionError_(FormContract.errorCodes.INVALID_TOKEN, "This form session has expired. Please submit again.");
+  }
+  return parts[1];
+}
+
+/**
+ * Issue a proof-of-work challenge: "<issuedAtMs>.<nonce>.<difficulty>.<signature>"
+ * The client must find a counter whose SHA-256("<challenge>:<counter>") starts
+ * with <difficulty> zero bits (see scripts/pow-worker.js)
+ * @param {Object} config - From getConfig_()
+ * @returns {{status:string, challenge:string, difficulty:number, expiresIn:number}}
+ */
+function issuePowChallenge_(config) {
+  if (!config.powEnabled) {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "Proof-of-work is not enabled.");
+  }
+  var payload = Date.now() + "." + Utilities.getUuid().replace(/-/g, "") + "." + config.powDifficulty;
+  return {
+    status: "success",
+    challenge: payload + "." + signValue_(payload, config.tokenSecret),
+    difficulty: config.powDifficulty,
+    expiresIn: config.tokenMaxAgeSeconds
+  };
+}
+
+/**
+ * Check a proof-of-work solution against its signed challenge
+ * @param {*} challenge - Value of the powChallenge request field
+ * @param {*} solution - Value of the powSolution request field
+ * @param {Object} config - From getConfig_()
+ * @returns {string} - The challenge nonce (pass to consumeNonce_)
+ * @throws {Error} - INVALID_CHALLENGE
+ */
+function verifyProofOfWork_(challenge, solution, config) {
+  challenge = String(challenge || "");
+  solution = String(solution || "");
+  var parts = challenge.split(".");
+  var reason = "";
+
+  if (parts.length !== 4 || !/^\d+$/.test(parts[0]) || !/^[0-9a-f]{32}$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+    reason = challenge ? "malformed" : "missing";
+  } else if (!constantTimeEquals_(parts[3], signValue_(parts.slice(0, 3).join("."), config.tokenSecret))) {
+    reason = "bad signature";
+  } else if (Number(parts[2]) < config.powDifficulty) {
+    reason = "issued with a lower difficulty";
+  } else {
+    var age = Date.now() - Number(parts[0]);
+    if (age < -60000 || age > config.tokenMaxAgeSeconds * 1000) {
+      reason = "expired";
+    } else if (isNonceUsed_("pow", parts[1])) {
+      reason = "already used";
+    } else if (!/^\d{1,15}$/.test(solution)) {
+      reason = "no solution";
+    } else {
+      var hash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, challenge + ":" + solution, Utilities.Charset.UTF_8);
+      if (leadingZeroBits_(hash) < Number(parts[2])) {
+        reason = "wrong solution";
+      }
+    }
+  }
+
+  if (reason) {
+    Logger.log("Proof-of-work rejected: " + reason);
+    throw submissionError_(FormContract.errorCodes.INVALID_CHALLENGE, "Browser verification failed. Please submit again.");
+  }
+  return parts[1];
+}
+
+/**
+ * Count leading zero bits of a digest
+ * @param {Array<number>} bytes - Signed bytes from Utilities.computeDigest
+ * @returns {number}
+ */
+function leadingZeroBits_(bytes) {
+  var bits = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    var b = bytes[i] & 0xFF;
+    if (b === 0) {
+      bits += 8;
+      continue;
+    }
+    while ((b & 0x80) === 0) {
+      bits++;
+      b <<= 1;
+    }
+    break;
+  }
+  return bits;
+}
+
+/**
+ * Whether a token/challenge nonce has already been spent
+ * @param {string} kind - "token" or "pow"
+ * @param {string} nonce
+ * @returns {boolean}
+ */
+function isNonceUsed_(kind, nonce) {
+  return !!CacheService.getScriptCache().get(kind + ":" + nonce);
+}
+
+/**
+ * Mark a nonce as used until its token/challenge would have expired anyway
+ * @param {string} kind - "token" or "pow"
+ * @param {string} nonce - From verifyFormToken_ / verifyProofOfWork_
+ * @param {Object} config - From getConfig_()
+ */
+function consumeNonce_(kind, nonce, config) {
+  CacheService.getScriptCache().put(kind + ":" + nonce, "1", config.tokenMaxAgeSeconds);
+}
+
+/**
+ * HMAC-SHA256 signature as unpadded web-safe base64
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+function signValue_(value, secret) {
+  var bytes = Utilities.computeHmacSha256Signature(value, secret);
+  return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, "");
+}
+
+/**
+ * Compare two strings without exiting early on the first difference
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function constantTimeEquals_(a, b) {
+  a = String(a);
+  b = String(b);
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Sliding-window rate limits per email address and per client fingerprint
+ * Each cache key holds the timestamps of accepted submissions within the window.
+ * When either is full the error carries retryAfter: seconds until enough of
+ * them have left the window for another submission
+ * @param {string} email
+ * @param {string} fingerprint - From clientFingerprint_()
+ * @param {Object} config - From getConfig_() (RATE_LIMIT_* settings)
+ */
+function enforceRateLimit_(email, fingerprint, config) {
+  var cache = CacheService.getScriptCache();
+  var windowMs = config.rateLimitWindowSeconds * 1000;
+  var now = Date.now();
+  var limits = [
+    { key: "rate:email:" + hashEmail_(email), max: config.rateLimitPerEmail },
+    { key: "rate:client:" + fingerprint, max: config.rateLimitPerClient }
+  ];
+
+  var retryAfter = 0;
+  limits.forEach(function(limit) {
+    limit.hits = readRateHits_(cache.get(limit.key), now - windowMs);
+    if (limit.hits.length >= limit.max) {
+      var oldest = limit.hits[limit.hits.length - limit.max];
+      retryAfter = Math.max(retryAfter, Math.ceil((oldest + windowMs - now) / 1000), 1);
+    }
+  });
+  if (retryAfter > 0) {
+    var error = submissionError_(FormContract.errorCodes.RATE_LIMITED, "Too many submissions. Please try again in " + retryAfter + " seconds.");
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  limits.forEach(function(limit) {
+    limit.hits.push(now);
+    cache.put(limit.key, JSON.stringify(limit.hits), config.rateLimitWindowSeconds);
+  });
+}
+
+/**
+ * Timestamps stored by enforceRateLimit_ that are still inside the window
+ * @param {string|null} raw - Cached JSON array
+ * @param {number} since - Window start (ms)
+ * @returns {Array<number>} - Ascending
+ */
+function readRateHits_(raw, since) {
+  var hits;
+  try {
+    hits = raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    hits = [];
+  }
+  if (!Array.isArray(hits)) return [];
+  return hits.filter(function(ts) {
+    return typeof ts === "number" && ts > since;
+  }).sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Hash of stable client attributes (browser, language, time zone, screen size)
+ * Apps Script never sees the client's IP address, so this is what ties one
+ * device's submissions together across email addresses. Only the hash is kept.
+ * @param {Object} formData - Parsed request data
+ * @returns {string}
+ */
+function clientFingerprint_(formData) {
+  var parts = [formData.userAgent, formData.language, formData.timeZone, formData.screenSize].map(function(value) {
+    return clampText_(value, 500);
+  });
+  return hashValue_(parts.join("|"));
+}
+
+/**
+ * Create a short hash of email to use as cache key
+ * @param {string} email
+ * @returns {string}
+ */
+function hashEmail_(email) {
+  return hashValue_(String(email).toLowerCase().trim());
+}
+
+/**
+ * Short SHA-256 hex digest for cache keys
+ * @param {string} value
+ * @returns {string}
+ */
+function hashValue_(value) {
+  var hex = toHex_(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, value));
+  // shorten to 16 chars
+  return hex.substring(0, 16);
+}
+
+/**
+ * @param {Array<number>} bytes - Signed bytes (Utilities digests and signatures)
+ * @returns {string} - Lowercase hex
+ */
+function toHex_(bytes) {
+  return bytes.map(function(b){
+    var s = (b & 0xFF).toString(16);
+    return ('0' + s).slice(-2);
+  }).join('');
+}
+
+/**
+ * Send notification email with submission details
+ * @param {Object} payload - Sanitized values keyed by field id (see FormContract.fields)
+ * @param {Object} config - From getFormConfig_() (recipients, reply-to behaviour)
+ * @param {{verdict:string, score:number, reasons:Array<string>}=} spam - From scoreSubmission_
+ */
+function sendNotificationEmail_(payload, config, spam) {
+  try {
+    var recipients = config.notifyRecipients.join(', ');
+    if (!recipients) {
+      Logger.log('sendNotificationEmail_ skipped: NOTIFY_RECIPIENTS is empty');
+      return;
+    }
+    var flagged = spam && spam.verdict === SPAM_VERDICTS_.FLAG;
+    var subject = (flagged ? '[Possible spam] ' : '') + formTag_(config) + 'New Contact Form Submission — ' + (payload.name || 'Unknown Name');
+
+    var timezone = Session.getScriptTimeZone() || 'UTC';
+    var submittedAt = Utilities.formatDate(new Date(), timezone, 'yyyy-MM-dd HH:mm:ss z');
+
+    var html = renderEmailLayout_({
+      heading: 'New Contact Form Submission',
+      subheading: 'Submitted at ' + submittedAt,
+      rowsHtml: submissionEmailRows_(payload) +
+        (flagged ? emailRow_('Spam Score', safe_(spam.score + ' (' + spam.reasons.join(', ') + ')')) : ''),
+      footer: config.replyToSubmitter ? 'Reply to this email to contact the sender directly.' : ''
+    });
+
+    // Send
+    var mail = {
+      to: recipients,
+      subject: subject,
+      htmlBody: html
+    };
+    if (config.replyToSubmitter && payload.email) {
+      mail.replyTo = payload.email;
+    }
+    deliverMail_(mail, "notification");
+  } catch (err) {
+    // Avoid breaking main flow if email fails
+    Logger.log('sendNotificationEmail_ error: ' + err);
+  }
+}
+
+/**
+ * Decide whether the submitter gets an auto-reply
+ * Never for spam-flagged submissions (rate-limited ones are rejected before
+ * this point) - an auto-responder must not become a way to make this script
+ * email arbitrary addresses
+ * @param {Object} config - From getConfig_()
+ * @param {Object} record - Sanitized field values
+ * @param {{spam:boolean}} outcome - Submission verdicts
+ * @returns {boolean}
+ */
+function shouldSendAutoReply_(config, record, outcome) {
+  if (!config.autoReplyEnabled) return false;
+  if (outcome.spam) return false;
+  return isValidEmail_(record.email);
+}
+
+/**
+ * Send the "we received your request" confirmation to the submitter
+ * Includes a copy of what they sent and their reference number
+ * @param {Object} payload - Sanitized values keyed by field id
+ * @param {string} reference - Reference number (see formatReference_)
+ * @param {Object} config - From getFormConfig_() (AUTO_REPLY_* settings)
+ */
+function sendAutoReplyEmail_(payload, reference, config) {
+  try {
+    var greetingName = payload.name ? ' ' + payload.name : '';
+    var intro = '<p style="margin:0 0 12px 0;">Hi' + safe_(greetingName) + ',</p>' +
+      '<p style="margin:0 0 12px 0;white-space:pre-wrap;">' + safe_(config.autoReplyMessage) + '</p>' +
+      '<p style="margin:0;">Your reference number is <strong>' + safe_(reference) + '</strong>. ' +
+      'Please quote it if you contact us about this request.</p>';
+
+    var html = renderEmailLayout_({
+      heading: config.autoReplySubject,
+      introHtml: intro,
+      rowsHtml: emailRow_('Reference', safe_(reference)) + submissionEmailRows_(payload),
+      footer: 'This is an automatic confirmation of the details you submitted.'
+    });
+
+    var mail = {
+      to: payload.email,
+      subject: config.autoReplySubject + ' [' + reference + ']',
+      htmlBody: html
+    };
+    if (config.autoReplyFromName) {
+      mail.name = config.autoReplyFromName;
+    }
+    // Replies go to the team rather than the script owner's mailbox
+    var replyTo = config.autoReplyReplyTo || config.notifyRecipients[0];
+    if (replyTo) {
+      mail.replyTo = replyTo;
+    }
+    deliverMail_(mail, "auto-reply");
+  } catch (err) {
+    // Avoid breaking main flow if email fails
+    Logger.log('sendAutoReplyEmail_ error: ' + err);
+  }
+}
+
+/** Sheet (in the submissions spreadsheet) holding emails that could not be sent */
+var UNSENT_MAIL_SHEET_NAME_ = "Unsent Notifications";
+/** Longest text a spreadsheet cell accepts */
+var SHEET_CELL_MAX_CHARS_ = 50000;
+var UNSENT_MAIL_HEADERS_ = ["Queued At", "Type", "To", "Subject", "Reply To", "From Name", "Body (HTML)", "Attempts", "Last Error"];
+/** Rows that failed this many times are left for staff to handle */
+var UNSENT_MAIL_MAX_ATTEMPTS_ = 5;
+var UNSENT_MAIL_TRIGGER_HANDLER_ = "sendUnsentNotifications";
+
+/**
+ * Send an email, or queue it in the Unsent Notifications sheet when the daily
+ * MailApp quota can't cover its recipients or sending fails
+ * @param {Object} mail - MailApp.sendEmail options (to, subject, htmlBody, replyTo, name)
+ * @param {string} kind - "notification", "auto-reply", "digest", "reply" or "erasure" (Type column)
+ * @returns {boolean} - true if sent now
+ */
+function deliverMail_(mail, kind) {
+  var remaining = MailApp.getRemainingDailyQuota();
+  if (remaining < countRecipients_(mail.to)) {
+    Logger.log(kind + " queued: daily email quota exhausted (" + remaining + " left)");
+    queueUnsentMail_(mail, kind, "Daily email quota exhausted");
+    return false;
+  }
+  try {
+    MailApp.sendEmail(mail);
+    return true;
+  } catch (err) {
+    Logger.log(kind + " queued after send error: " + err);
+    queueUnsentMail_(mail, kind, String(err));
+    return false;
+  }
+}
+
+/**
+ * Store an email for sendUnsentNotifications (never throws)
+ * @param {Object} mail - MailApp.sendEmail options
+ * @param {string} kind - See deliverMail_
+ * @param {string} reason - Why it wasn't sent (Last Error column)
+ */
+function queueUnsentMail_(mail, kind, reason) {
+  var lock = LockService.getScriptLock();
+  try {
+    // Creating the sheet must not race another queued email
+    lock.waitLock(LOCK_TIMEOUT_MS_);
+    var sheet = getUnsentMailSheet_(true);
+    sheet.appendRow(encodeSheetRow_([
+      new Date(), kind, mail.to, mail.subject, mail.replyTo || "", mail.name || "", fitUnsentMailBody_(mail.htmlBody), 0, reason
+    ]));
+    ensureUnsentMailTrigger_();
+  } catch (err) {
+    Logger.log("Could not queue " + kind + " to " + mail.to + ": " + err);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Shorten an email body that would not fit in one cell of the Unsent
+ * Notifications tab (a long digest or message), so queueing it can't fail
+ * The cut is made after the last complete tag that fits; mail clients close
+ * the elements left open
+ * @param {string} html - HTML body
+ * @returns {string} - The body, or its first ~50,000 characters and a note
+ */
+function fitUnsentMailBody_(html) {
+  html = String(html || "");
+  if (html.length <= SHEET_CELL_MAX_CHARS_) {
+    return html;
+  }
+  var note = '<p style="color:#b42318;">This email was too long to be queued in full and has been shortened. ' +
+    'The complete details are in the spreadsheet.</p>';
+  var cut = html.lastIndexOf(">", SHEET_CELL_MAX_CHARS_ - note.length - 1);
+  return html.substring(0, cut + 1) + note;
+}
+
+/**
+ * Time-driven trigger (hourly, installed by setup()): send queued emails,
+ * oldest first, while the daily quota lasts. Sent rows are removed; failed
+ * ones keep their error and attempt count.
+ * The submission lock is not held while sending, so the form stays responsive.
+ * @param {Object=} e - Trigger event (see requireTriggerOrAdmin_)
+ * @returns {{sent:number, remaining:number}}
+ */
+function sendUnsentNotifications(e) {
+  requireTriggerOrAdmin_(e);
+  var sheet = getUnsentMailSheet_(false);
+  var lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < 2) {
+    return { sent: 0, remaining: 0 };
+  }
+
+  // Overlapping runs would send the same rows twice
+  var cache = CacheService.getScriptCache();
+  if (cache.get("unsent-mail:running")) {
+    Logger.log(UNSENT_MAIL_TRIGGER_HANDLER_ + " is already running");
+    return { sent: 0, remaining: lastRow - 1 };
+  }
+  cache.put("unsent-mail:running", "1", 300);
+
+  try {
+    var rows = sheet.getRange(2, 1, lastRow - 1, UNSENT_MAIL_HEADERS_.length).getValues();
+    var quota = MailApp.getRemainingDailyQuota();
+    var sentRows = [];
+
+    for (var i = 0; i < rows.length; i++) {
+      var row = rows[i];
+      var attempts = Number(row[7]) || 0;
+      if (attempts >= UNSENT_MAIL_MAX_ATTEMPTS_) continue;
+
+      var needed = countRecipients_(row[2]);
+      if (needed > quota) {
+        Logger.log("Email quota exhausted - " + (rows.length - sentRows.length) + " email(s) left for the next run");
+        break;
+      }
+
+      var mail = { to: String(row[2]), subject: String(row[3]), htmlBody: String(row[6]) };
+      if (row[4]) mail.replyTo = String(row[4]);
+      if (row[5]) mail.name = String(row[5]);
+      try {
+        MailApp.sendEmail(mail);
+        quota -= needed;
+        sentRows.push(i + 2);
+      } catch (err) {
+        sheet.getRange(i + 2, 8, 1, 2).setValues([[attempts + 1, encodeSheetValue_(String(err))]]);
+      }
+    }
+
+    // Bottom-up, so earlier row numbers stay valid (new rows are only ever appended)
+    for (var j = sentRows.length - 1; j >= 0; j--) {
+      sheet.deleteRow(sentRows[j]);
+    }
+
+    Logger.log("Sent " + sentRows.length + " queued email(s)");
+    return { sent: sentRows.length, remaining: rows.length - sentRows.length };
+  } finally {
+    cache.remove("unsent-mail:running");
+  }
+}
+
+/**
+ * @param {boolean} create - Create the sheet (with headers) if missing
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null}
+ */
+function getUnsentMailSheet_(create) {
+  return getLogSheet_(UNSENT_MAIL_SHEET_NAME_, UNSENT_MAIL_HEADERS_, create);
+}
+
+/**
+ * Open one of the script's own tabs (Unsent Notifications, Conversations,
+ * Failed Webhooks, Privacy Log), kept in the SPREADSHEET_ID spreadsheet for every form
+ * @param {string} name - Tab name
+ * @param {Array<string>} headers - Header row of a new tab
+ * @param {boolean} create - Create the tab if missing
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet|null}
+ */
+function getLogSheet_(name, headers, create) {
+  var spreadsheet = SpreadsheetApp.openById(getConfig_().spreadsheetId);
+  var sheet = spreadsheet.getSheetByName(name);
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.appendRow(headers);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Install the hourly sendUnsentNotifications trigger unless it exists
+ * @returns {boolean} - true if it was created now
+ */
+function ensureUnsentMailTrigger_() {
+  var exists = ScriptApp.getProjectTriggers().some(function(trigger) {
+    return trigger.getHandlerFunction() === UNSENT_MAIL_TRIGGER_HANDLER_;
+  });
+  if (exists) {
+    return false;
+  }
+  ScriptApp.newTrigger(UNSENT_MAIL_TRIGGER_HANDLER_).timeBased().everyHours(1).create();
+  return true;
+}
+
+/**
+ * Quota units an email uses (one per recipient)
+ * @param {string} to - Comma-separated addresses
+ * @returns {number}
+ */
+function countRecipients_(to) {
+  var count = String(to || "").split(",").filter(function(address) {
+    return address.trim() !== "";
+  }).length;
+  return Math.max(count, 1);
+}
+
+/**
+ * Script Property holding the Received At time (ms) of the newest submission
+ * already in a digest (the default form's; other forms append ":<formId>")
+ */
+var DIGEST_WATERMARK_PROPERTY_ = "DIGEST_WATERMARK";
+var DIGEST_TRIGGER_HANDLER_ = "sendDigest";
+/** Submissions listed one by one in a digest (all are counted) */
+var DIGEST_MAX_LISTED_ = 100;
+
+/**
+ * Time-driven trigger (installed by setup() when NOTIFICATION_MODE is digest
+ * or both): email one summary per form of the submissions received since its
+ * last digest. Can also be run from the editor (see requireTriggerOrAdmin_)
+ * @param {Object=} e - Trigger event
+ * @returns {{sent:boolean, count:number}} - count = submissions in all digests
+ */
+function sendDigest(e) {
+  requireTriggerOrAdmin_(e);
+  var count = 0;
+  var failures = [];
+  listFormConfigs_(getConfig_()).forEach(function(form) {
+    // One form's missing tab must not hold back the other digests
+    try {
+      count += sendFormDigest_(form);
+    } catch (err) {
+      failures.push(form.formId + ": " + err.message);
+    }
+  });
+  if (failures.length > 0) {
+    throw new Error("Digest failed for " + failures.join("; "));
+  }
+  return { sent: count > 0, count: count };
+}
+
+/**
+ * Send one form's digest
+ * The watermark is advanced only after the digest is sent (or queued by
+ * deliverMail_), so each submission appears in exactly one digest
+ * @param {Object} config - From getFormConfig_()
+ * @returns {number} - Submissions in the digest (0 = none sent)
+ */
+function sendFormDigest_(config) {
+  var sheet = getSubmissionSheet_(config);
+  var store = PropertiesService.getScriptProperties();
+  var watermarkKey = DIGEST_WATERMARK_PROPERTY_ + (config.formId === DEFAULT_FORM_ID_ ? "" : ":" + config.formId);
+  var periodMs = (config.digestFrequency === "weekly" ? 7 : 1) * 24 * 60 * 60 * 1000;
+  // The first digest covers one period rather than the whole sheet
+  var since = Number(store.getProperty(watermarkKey)) || (Date.now() - periodMs);
+
+  var leads = readFormRows_(sheet, config.formId).filter(function(lead) {
+    lead.receivedAt = toDate_(lead.receivedAt);
+    return lead.receivedAt && lead.receivedAt.getTime() > since;
+  }).sort(function(a, b) {
+    return a.receivedAt.getTime() - b.receivedAt.getTime();
+  });
+
+  if (leads.length === 0) {
+    Logger.log("Digest skipped for form " + config.formId + ": no submissions since " + new Date(since));
+    return 0;
+  }
+
+  var recipients = config.digestRecipients.length > 0 ? config.digestRecipients : config.notifyRecipients;
+  deliverMail_(renderDigestEmail_(leads, since, config, sheet, recipients.join(", ")), "digest");
+  store.setProperty(watermarkKey, String(leads[leads.length - 1].receivedAt.getTime()));
+  Logger.log("Digest of " + leads.length + " submission(s) of form " + config.formId + " sent to " + recipients.join(", "));
+  return leads.length;
+}
+
+/**
+ * Build the digest email: totals, counts by source (with spam-flagged counts)
+ * and one row per submission
+ * @param {Array<Object>} leads - From readSubmissionRows_, oldest first
+ * @param {number} since - Watermark (ms)
+ * @param {Object} config - From getFormConfig_()
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Submission sheet (for the link)
+ * @param {string} to - Recipients
+ * @returns {Object} - MailApp.sendEmail options
+ */
+function renderDigestEmail_(leads, since, config, sheet, to) {
+  var timezone = Session.getScriptTimeZone() || 'UTC';
+  var format = function(date) { return Utilities.formatDate(date, timezone, 'yyyy-MM-dd HH:mm'); };
+  var isSpam = function(lead) { return String(lead.spam || '').toLowerCase() === 'yes'; };
+
+  // Counts by source, busiest first
+  var sources = {};
+  leads.forEach(function(lead) {
+    var name = String(lead.source || '').trim() || '(unknown)';
+    sources[name] = sources[name] || { total: 0, spam: 0 };
+    sources[name].total += 1;
+    if (isSpam(lead)) sources[name].spam += 1;
+  });
+  var sourceRows = Object.keys(sources).sort(function(a, b) {
+    return sources[b].total - sources[a].total || (a < b ? -1 : 1);
+  }).map(function(name) {
+    var count = sources[name];
+    return emailRow_('Source: ' + name, safe_(count.total + (count.spam ? ' (' + count.spam + ' possible spam)' : '')));
+  }).join('');
+
+  var spamCount = leads.filter(isSpam).length;
+  var summaryRows = emailRow_('New submissions', safe_(String(leads.length))) +
+    emailRow_('Possible spam', safe_(String(spamCount))) +
+    sourceRows;
+
+  // One row per submission: every schema field, long values shortened
+  var listed = leads.slice(-DIGEST_MAX_LISTED_);
+  var leadRows = listed.map(function(lead) {
+    var lines = FormContract.fields.map(function(field) {
+      var value = String(lead[field.id] === undefined || lead[field.id] === null ? '' : lead[field.id]);
+      if (value.length > 200) value = value.substring(0, 200) + '…';
+      return '<span style="color:#5e6a75;">' + safe_(field.header || field.label || field.id) + ':</span> ' + safe_(value);
+    });
+    if (isSpam(lead)) {
+      lines.unshift('<strong style="color:#b45309;">Possible spam</strong>');
+    }
+    return emailRow_(format(lead.receivedAt), lines.join('<br>'));
+  }).join('');
+  if (listed.length < leads.length) {
+    leadRows += emailRow_('More', safe_((leads.length - listed.length) + ' earlier submission(s) - see the spreadsheet'));
+  }
+
+  var link = sheet.getParent().getUrl();
+  var period = config.digestFrequency === 'weekly' ? 'Weekly' : 'Daily';
+  var noun = leads.length === 1 ? 'submission' : 'submissions';
+
+  return {
+    to: to,
+    subject: formTag_(config) + period + ' lead digest — ' + leads.length + ' new ' + noun,
+    htmlBody: renderEmailLayout_({
+      heading: period + ' lead digest',
+      subheading: format(new Date(since)) + ' – ' + format(new Date()),
+      rowsHtml: summaryRows + leadRows +
+        emailRow_('Spreadsheet', '<a href="' + safe_(link) + '">Open all submissions</a>'),
+      footer: 'Sent by the contact form (NOTIFICATION_MODE = ' + config.notificationMode + ').'
+    })
+  };
+}
+
+/**
+ * (Re)install the sendDigest trigger to match NOTIFICATION_MODE / DIGEST_*
+ * @param {Object} config - From getConfig_()
+ * @returns {string} - Description for the setup() report
+ */
+function ensureDigestTrigger_(config) {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === DIGEST_TRIGGER_HANDLER_) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  if (config.notificationMode === "instant") {
+    return "No digest trigger (NOTIFICATION_MODE = instant)";
+  }
+
+  var builder = ScriptApp.newTrigger(DIGEST_TRIGGER_HANDLER_).timeBased();
+  if (config.digestFrequency === "weekly") {
+    builder.onWeekDay(ScriptApp.WeekDay.MONDAY).atHour(config.digestHour).create();
+  } else {
+    builder.everyDays(1).atHour(config.digestHour).create();
+  }
+  return "Digest trigger: " + config.digestFrequency + " at " + config.digestHour + ":00";
+}
+
+/**
+ * @param {*} value - Sheet cell value
+ * @returns {Date|null}
+ */
+function toDate_(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  var date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/** Values of the Status column (rows without one count as New) */
+var LEAD_STATUS_NEW_ = "New";
+var LEAD_STATUSES_ = [LEAD_STATUS_NEW_, "Contacted", "Archived", "Spam"];
+
+/** Submissions per page on the admin page */
+var ADMIN_PAGE_SIZE_ = 50;
+
+/**
+ * Serve the admin page (Admin.html) to accounts listed in ADMIN_EMAILS
+ * The page talks to adminListSubmissions / adminUpdateStatus through
+ * google.script.run; both check access again on every call.
+ * @returns {HtmlService.HtmlOutput}
+ */
+function renderAdminPage_() {
+  var email;
+  try {
+    email = requireAdmin_(getConfig_());
+  } catch (error) {
+    Logger.log("Admin page refused: " + error.message);
+    return HtmlService.createHtmlOutput(
+      '<!DOCTYPE html><html><head><title>Access denied</title></head>' +
+      '<body style="font-family:Arial,sans-serif;padding:24px;color:#333;">' +
+      '<h1 style="font-size:20px;">Access denied</h1><p>' + escapeHtml_(error.message) + '</p></body></html>'
+    ).setTitle("Access denied");
+  }
+
+  var template = HtmlService.createTemplateFromFile("Admin");
+  template.adminEmail = email;
+  return template.evaluate()
+    .setTitle("Form submissions")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/**
+ * Check that the signed-in Google account is listed in ADMIN_EMAILS
+ * The account is only known when the web app runs as the user accessing it,
+ * or the user shares the owner's Google Workspace domain (see DEPLOYMENT.md)
+ * @param {Object} config - From getConfig_()
+ * @returns {string} - The admin's email (lowercase)
+ * @throws {Error} - If there is no signed-in account or it is not listed
+ */
+function requireAdmin_(config) {
+  var email = String(Session.getActiveUser().getEmail() || "").toLowerCase();
+  if (!email) {
+    throw new Error("Your Google account could not be identified. Sign in, or ask the owner to deploy the admin page to run as the user accessing it.");
+  }
+  var allowed = config.adminEmails.some(function(admin) {
+    return admin.toLowerCase() === email;
+  });
+  if (!allowed) {
+    throw new Error(email + " is not allowed to view submissions (ADMIN_EMAILS).");
+  }
+  return email;
+}
+
+/**
+ * Guard for the public functions that triggers, the editor and the
+ * spreadsheet menus run. Web app pages (Admin, Erasure) can call any public
+ * function through google.script.run, and in the form's deployment such calls
+ * run as the owner - so every other helper ends in "_" (private), and only
+ * requestErasure/confirmErasure and the requireAdmin_-checked admin functions
+ * are meant for pages.
+ * Allowed: an event from one of this project's triggers, a caller running the
+ * script as themselves (editor, menus, dialogs) or an ADMIN_EMAILS account
+ * @param {Object=} e - Trigger event, if any
+ * @throws {Error} - For anyone else
+ */
+function requireTriggerOrAdmin_(e) {
+  // The event is just an argument, so check that the trigger really exists
+  if (e && e.triggerUid && ScriptApp.getProjectTriggers().some(function(trigger) {
+    return trigger.getUniqueId() === String(e.triggerUid);
+  })) {
+    return;
+  }
+  var caller = String(Session.getActiveUser().getEmail() || "").toLowerCase();
+  if (caller && caller === String(Session.getEffectiveUser().getEmail() || "").toLowerCase()) {
+    return;
+  }
+  requireAdmin_(getConfig_());
+}
+
+/**
+ * google.script.run: one page of one form's submissions, newest first
+ * @param {{formId:string, query:string, status:string, from:number, to:number, offset:number}} filters -
+ *        formId "" = the default form; status "" = all, "open" = New and Contacted,
+ *        or one of LEAD_STATUSES_; from/to are timestamps (ms) bounding Received At, to exclusive
+ * @returns {{total:number, offset:number, pageSize:number, items:Array<Object>,
+ *           columns:Array<{key:string, header:string}>, listed:Array<string>, statuses:Array<string>,
+ *           formId:string, forms:Array<string>}}
+ */
+function adminListSubmissions(filters) {
+  var config = getConfig_();
+  requireAdmin_(config);
+
+  filters = filters || {};
+  var form = getFormConfig_(config, filters.formId);
+  var query = String(filters.query || "").trim().toLowerCase();
+  var status = String(filters.status || "");
+  var from = Number(filters.from) || 0;
+  var to = Number(filters.to) || 0;
+  var offset = Math.max(0, Math.floor(Number(filters.offset) || 0));
+
+  var leads = readFormRows_(getSubmissionSheet_(form), form.formId).map(adminLead_).filter(function(lead) {
+    if (status === "open" ? (lead.status !== LEAD_STATUS_NEW_ && lead.status !== "Contacted")
+                          : (status && lead.status !== status)) {
+      return false;
+    }
+    if ((from && !(lead.time >= from)) || (to && !(lead.time < to))) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+    return Object.keys(lead.values).some(function(key) {
+      return lead.values[key].toLowerCase().indexOf(query) !== -1;
+    }) || lead.reference.toLowerCase().indexOf(query) !== -1;
+  }).sort(function(a, b) {
+    return (b.time - a.time) || (b.row - a.row);
+  });
+
+  return {
+    total: leads.length,
+    offset: offset,
+    pageSize: ADMIN_PAGE_SIZE_,
+    items: leads.slice(offset, offset + ADMIN_PAGE_SIZE_),
+    columns: getSubmissionColumns_(),
+    // Shown in the list; every column is in the detail view
+    listed: FormContract.fields.filter(function(field) {
+      return field.type !== "textarea";
+    }).slice(0, 3).map(function(field) { return field.id; }),
+    statuses: LEAD_STATUSES_,
+    formId: form.formId,
+    forms: listFormConfigs_(config).map(function(candidate) { return candidate.formId; })
+  };
+}
+
+/**
+ * google.script.run: set a submission's Status
+ * "Spam" also sets the Spam column, so digests count it as spam
+ * @param {string} submissionId
+ * @param {string} status - One of LEAD_STATUSES_
+ * @param {string=} formId - Form whose sheet holds the submission ("" = the default form)
+ * @returns {Object} - The updated submission (see adminLead_)
+ */
+function adminUpdateStatus(submissionId, status, formId) {
+  var config = getConfig_();
+  var email = requireAdmin_(config);
+  var form = getFormConfig_(config, formId);
+
+  submissionId = String(submissionId || "");
+  if (!SUBMISSION_ID_PATTERN_.test(submissionId)) {
+    throw new Error("Invalid submission ID.");
+  }
+  if (LEAD_STATUSES_.indexOf(status) === -1) {
+    throw new Error("Unknown status \"" + status + "\".");
+  }
+
+  // Rows may move while doPost appends - find and write under the submission lock
+  var lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_TIMEOUT_MS_);
+  try {
+    var sheet = getSubmissionSheet_(form);
+    // Adds the workflow headers to sheets created before they existed
+    ensureSubmissionHeaders_(sheet);
+    var row = findSubmissionRow_(sheet, submissionId);
+    if (!row) {
+      throw new Error("Submission not found. It may have been deleted from the sheet.");
+    }
+    sheet.getRange(row, findSubmissionColumn_(sheet, "status")).setValue(status);
+    stampStatusChanges_(sheet, row, [status]);
+    var spamColumn = findSubmissionColumn_(sheet, "spam");
+    if (status === "Spam" && spamColumn) {
+      sheet.getRange(row, spamColumn).setValue("yes");
+    }
+    SpreadsheetApp.flush();
+    var lead = adminLead_(readSubmissionRow_(sheet, row));
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(email + " set submission " + submissionId + " to " + status);
+  return lead;
+}
+
+/**
+ * Admin page view of one sheet row
+ * google.script.run can't return Date objects, so every value is sent as text
+ * (dates as ISO strings)
+ * @param {Object} record - From readSubmissionRows_
+ * @returns {{row:number, submissionId:string, reference:string, status:string,
+ *           receivedAt:string, time:number, values:Object}}
+ */
+function adminLead_(record) {
+  var values = {};
+  Object.keys(record).forEach(function(key) {
+    if (key === "row") {
+      return;
+    }
+    var value = record[key];
+    values[key] = value instanceof Date ? value.toISOString() : String(value === null || value === undefined ? "" : value);
+  });
+
+  var receivedAt = toDate_(record.receivedAt);
+  var submissionId = values.submissionId || "";
+  return {
+    row: record.row,
+    submissionId: submissionId,
+    reference: submissionId ? formatReference_(submissionId) : "",
+    status: normalizeLeadStatus_(values.status),
+    receivedAt: receivedAt ? receivedAt.toISOString() : "",
+    time: receivedAt ? receivedAt.getTime() : 0,
+    values: values
+  };
+}
+
+/** Tab that logs replies sent with the Leads → Reply to lead menu */
+var CONVERSATION_SHEET_NAME_ = "Conversations";
+var CONVERSATION_HEADERS_ = ["Sent At", "Submission ID", "Reference", "To", "Subject", "Message", "Sent By", "Delivery"];
+
+/**
+ * Match a Status cell to LEAD_STATUSES_ (case-insensitive)
+ * @param {*} value - Cell value
+ * @returns {string} - Status name; empty and unknown values count as New
+ */
+function normalizeLeadStatus_(value) {
+  var text = String(value === null || value === undefined ? "" : value).trim().toLowerCase();
+  var status = LEAD_STATUSES_.filter(function(name) {
+    return name.toLowerCase() === text;
+  })[0];
+  return status || LEAD_STATUS_NEW_;
+}
+
+/**
+ * Record status changes of consecutive rows: Status Updated is set to now,
+ * and Last Contacted too for rows that became Contacted
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Submission sheet
+ * @param {number} firstRow - 1-based row of statuses[0]
+ * @param {Array<*>} statuses - New Status values
+ */
+function stampStatusChanges_(sheet, firstRow, statuses) {
+  var now = new Date();
+  var updatedColumn = findSubmissionColumn_(sheet, "statusUpdatedAt");
+  if (updatedColumn) {
+    sheet.getRange(firstRow, updatedColumn, statuses.length, 1).setValues(statuses.map(function() {
+      return [now];
+    }));
+  }
+
+  var contactedColumn = findSubmissionColumn_(sheet, "lastContactedAt");
+  if (contactedColumn) {
+    var range = sheet.getRange(firstRow, contactedColumn, statuses.length, 1);
+    var values = range.getValues();
+    range.setValues(values.map(function(cells, index) {
+      return [normalizeLeadStatus_(statuses[index]) === "Contacted" ? now : cells[0]];
+    }));
+  }
+}
+
+/**
+ * Dropdowns for the Status and Assignee columns (run by setup())
+ * Assignees are LEAD_ASSIGNEES, else ADMIN_EMAILS; other names are allowed
+ * with a warning. Re-run setup() after changing them. They cover every row
+ * the sheet has; rows added later get them from extendLeadValidation_.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Submission sheet
+ * @param {Object} config - From getFormConfig_()
+ * @returns {string} - Report line for setup()
+ */
+function ensureLeadValidation_(sheet, config) {
+  ensureSubmissionHeaders_(sheet);
+  var rows = sheet.getMaxRows() - 1;
+  if (rows < 1) {
+    return "No rows to validate";
+  }
+
+  sheet.getRange(2, findSubmissionColumn_(sheet, "status"), rows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(LEAD_STATUSES_, true).setAllowInvalid(false).build()
+  );
+
+  var assignees = config.leadAssignees.length > 0 ? config.leadAssignees : config.adminEmails;
+  if (assignees.length === 0) {
+    return "Status dropdown set (no LEAD_ASSIGNEES or ADMIN_EMAILS for the Assignee dropdown)";
+  }
+  sheet.getRange(2, findSubmissionColumn_(sheet, "assignee"), rows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(assignees, true).setAllowInvalid(true).build()
+  );
+  return "Status and Assignee dropdowns set (" + assignees.length + " assignee(s))";
+}
+
+/** Empty rows added when a submission sheet is full (see extendLeadValidation_) */
+var SUBMISSION_ROW_BATCH_ = 500;
+
+/**
+ * Grow a full submission sheet by SUBMISSION_ROW_BATCH_ rows carrying the
+ * Status and Assignee dropdowns of row 2, so the next appendRow calls land
+ * in validated rows
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Submission sheet
+ * @param {Array<string>} headers - Row 1 (see ensureSubmissionHeaders_)
+ */
+function extendLeadValidation_(sheet, headers) {
+  var keyByHeader = submissionKeyByHeader_();
+  var maxRows = sheet.getMaxRows();
+  sheet.insertRowsAfter(maxRows, SUBMISSION_ROW_BATCH_);
+  headers.forEach(function(title, index) {
+    var key = keyByHeader[normalizeHeader_(title)];
+    if ((key !== "status" && key !== "assignee") || maxRows < 2) {
+      return;
+    }
+    var rule = sheet.getRange(2, index + 1).getDataValidation();
+    if (rule) {
+      sheet.getRange(maxRows + 1, index + 1, SUBMISSION_ROW_BATCH_, 1).setDataValidation(rule);
+    }
+  });
+}
+
+/**
+ * Whether a sheet receives submissions (of any form)
+ * Simple triggers can't call SpreadsheetApp.openById, so this compares names
+ * instead of using getSubmissionSheet_
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Object} config - From getConfig_()
+ * @returns {boolean}
+ */
+function isSubmissionSheet_(sheet, config) {
+  var spreadsheetId = sheet.getParent().getId();
+  return listFormConfigs_(config).some(function(form) {
+    if (form.spreadsheetId !== spreadsheetId) {
+      return false;
+    }
+    return form.sheetName ? sheet.getName() === form.sheetName : sheet.getIndex() === 1;
+  });
+}
+
+/**
+ * Simple trigger (script bound to the spreadsheet): add the Leads menu
+ * @param {Object} e - Open event
+ */
+function onOpen(e) {
+  SpreadsheetApp.getUi()
+    .createMenu("Leads")
+    .addItem("Reply to lead…", "showReplyDialog")
+    .addItem("Resend to webhooks", "redeliverSelectedWebhooks")
+    .addToUi();
+}
+
+/**
+ * Simple trigger (script bound to the spreadsheet): stamp Status Updated and
+ * Last Contacted when staff change the Status column (typed, pasted or picked
+ * from the dropdown). Changes made by the script itself don't fire it - those
+ * call stampStatusChanges_ directly.
+ * @param {Object} e - Edit event
+ */
+function onEdit(e) {
+  // google.script.run can't pass a real Range, so page calls end here
+  if (!e || !e.range || typeof e.range.getSheet !== "function") {
+    return;
+  }
+  try {
+    var sheet = e.range.getSheet();
+    if (!isSubmissionSheet_(sheet, getConfig_())) {
+      return;
+    }
+    var statusColumn = findSubmissionColumn_(sheet, "status");
+    if (!statusColumn || statusColumn < e.range.getColumn() || statusColumn > e.range.getLastColumn()) {
+      return;
+    }
+    var firstRow = Math.max(2, e.range.getRow());
+    var count = e.range.getLastRow() - firstRow + 1;
+    if (count < 1) {
+      return;
+    }
+    var statuses = sheet.getRange(firstRow, statusColumn, count, 1).getValues().map(function(cells) {
+      return cells[0];
+    });
+    stampStatusChanges_(sheet, firstRow, statuses);
+  } catch (err) {
+    Logger.log("onEdit: " + err);
+  }
+}
+
+/**
+ * Leads → Reply to lead: open the reply dialog (Reply.html) for the selected row
+ */
+function showReplyDialog() {
+  requireTriggerOrAdmin_();
+  var ui = SpreadsheetApp.getUi();
+  var lead = readSelectedLead_(ui);
+  if (!lead) {
+    return;
+  }
+  if (!isValidEmail_(String(lead.email || ""))) {
+    ui.alert("Row " + lead.row + " has no valid email address to reply to.");
+    return;
+  }
+
+  var receivedAt = toDate_(lead.receivedAt);
+  var template = HtmlService.createTemplateFromFile("Reply");
+  template.lead = {
+    submissionId: String(lead.submissionId),
+    formId: String(lead.formId || ""),
+    reference: formatReference_(lead.submissionId),
+    name: String(lead.name || ""),
+    email: String(lead.email),
+    message: String(lead.message || ""),
+    receivedAt: receivedAt ? Utilities.formatDate(receivedAt, Session.getScriptTimeZone() || "UTC", "yyyy-MM-dd HH:mm") : ""
+  };
+  ui.showModalDialog(template.evaluate().setWidth(600).setHeight(560), "Reply to " + (lead.name || lead.email));
+}
+
+/**
+ * Leads → Resend to webhooks: deliver the selected submission again (see redeliverWebhooks)
+ */
+function redeliverSelectedWebhooks() {
+  requireTriggerOrAdmin_();
+  var ui = SpreadsheetApp.getUi();
+  var lead = readSelectedLead_(ui);
+  if (!lead) {
+    return;
+  }
+  try {
+    var result = redeliverWebhooks(String(lead.submissionId));
+    ui.alert(formatReference_(lead.submissionId) + ": " + result.delivered + " delivered, " + result.failed +
+      " failed" + (result.failed > 0 ? " (see the \"" + FAILED_WEBHOOK_SHEET_NAME_ + "\" tab)" : "") + ".");
+  } catch (err) {
+    ui.alert(err.message);
+  }
+}
+
+/**
+ * The submission row selected in the spreadsheet (menu handlers)
+ * @param {GoogleAppsScript.Base.Ui} ui - Shows why there is none
+ * @returns {Object|null} - From readSubmissionRow_, or null after an alert
+ */
+function readSelectedLead_(ui) {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var row = sheet.getActiveRange().getRow();
+  if (!isSubmissionSheet_(sheet, getConfig_()) || row < 2) {
+    ui.alert("Select a submission row in a submissions tab first.");
+    return null;
+  }
+  var lead = readSubmissionRow_(sheet, row);
+  if (!lead.submissionId) {
+    ui.alert("Row " + row + " has no Submission ID.");
+    return null;
+  }
+  return lead;
+}
+
+/**
+ * google.script.run (reply dialog): email a lead, log the reply in the
+ * Conversations tab and mark the lead as contacted (New becomes Contacted;
+ * Last Contacted is always stamped)
+ * The email is sent from the account using the menu; without quota left it is
+ * queued in Unsent Notifications (see deliverMail_)
+ * @param {string} submissionId
+ * @param {string} subject
+ * @param {string} message - Plain text; the lead's original message is quoted below it
+ * @param {string=} formId - The lead's Form ID ("" = the default form)
+ * @returns {{sent:boolean, message:string}}
+ */
+function sendLeadReply(submissionId, subject, message, formId) {
+  // The dialog runs as the staff member; other web app callers would send as the owner
+  requireTriggerOrAdmin_();
+  var config = getFormConfig_(getConfig_(), formId);
+  submissionId = String(submissionId || "");
+  subject = String(subject || "").trim();
+  message = String(message || "").trim();
+  if (!SUBMISSION_ID_PATTERN_.test(submissionId)) {
+    throw new Error("Invalid submission ID.");
+  }
+  if (!subject || !message) {
+    throw new Error("Enter a subject and a message.");
+  }
+
+  // Replies go out from (and are logged as) the signed-in account
+  var sender = Session.getActiveUser().getEmail();
+  if (!sender) {
+    throw new Error("Your Google account could not be identified.");
+  }
+
+  var sheet = getSubmissionSheet_(config);
+  var row = findSubmissionRow_(sheet, submissionId);
+  if (!row) {
+    throw new Error("Submission not found. It may have been deleted from the sheet.");
+  }
+  var lead = readSubmissionRow_(sheet, row);
+
+  var mail = renderLeadReplyEmail_(lead, subject, message);
+  var sent = deliverMail_(mail, "reply");
+  logConversation_([
+    new Date(), submissionId, formatReference_(submissionId), mail.to, subject, message, sender, sent ? "Sent" : "Queued"
+  ]);
+
+  // Rows may move while doPost appends - find the row again under the submission lock
+  var lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_TIMEOUT_MS_);
+  try {
+    row = findSubmissionRow_(sheet, submissionId);
+    var statusColumn = findSubmissionColumn_(sheet, "status");
+    var contactedColumn = findSubmissionColumn_(sheet, "lastContactedAt");
+    if (row && statusColumn && normalizeLeadStatus_(sheet.getRange(row, statusColumn).getValue()) === LEAD_STATUS_NEW_) {
+      sheet.getRange(row, statusColumn).setValue("Contacted");
+      stampStatusChanges_(sheet, row, ["Contacted"]);
+    } else if (row && contactedColumn) {
+      sheet.getRange(row, contactedColumn).setValue(new Date());
+    }
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  return {
+    sent: sent,
+    message: sent
+      ? "Reply sent to " + mail.to + "."
+      : "The daily email quota is used up - the reply is queued in \"" + UNSENT_MAIL_SHEET_NAME_ + "\" and will be sent automatically."
+  };
+}
+
+/**
+ * Reply email: the staff message followed by the lead's original message, quoted
+ * @param {Object} lead - From readSubmissionRow_
+ * @param {string} subject
+ * @param {string} message - Plain text
+ * @returns {Object} - MailApp.sendEmail options
+ */
+function renderLeadReplyEmail_(lead, subject, message) {
+  var original = String(lead.message || '');
+  var receivedAt = toDate_(lead.receivedAt);
+  var attribution = (receivedAt ? 'On ' + Utilities.formatDate(receivedAt, Session.getScriptTimeZone() || 'UTC', 'yyyy-MM-dd HH:mm') + ', ' : '') +
+    (lead.name || lead.email) + ' wrote:';
+  var multiline = function(text) {
+    return safe_(text).replace(/\r?\n/g, '<br>');
+  };
+
+  return {
+    to: String(lead.email),
+    subject: subject,
+    body: message + '\n\n' + attribution + '\n' + original.split(/\r?\n/).map(function(line) {
+      return '> ' + line;
+    }).join('\n'),
+    htmlBody:
+      '<div style="font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.5;color:#333;">' +
+      '<div>' + multiline(message) + '</div>' +
+      '<p style="margin:24px 0 6px;color:#666;">' + safe_(attribution) + '</p>' +
+      '<blockquote style="margin:0;padding:0 0 0 12px;border-left:3px solid #ccc;color:#555;">' + multiline(original) + '</blockquote>' +
+      '</div>'
+  };
+}
+
+/**
+ * Append one row to the Conversations tab (created on first use in the
+ * SPREADSHEET_ID spreadsheet, for every form)
+ * @param {Array} values - One value per CONVERSATION_HEADERS_ entry
+ */
+function logConversation_(values) {
+  getLogSheet_(CONVERSATION_SHEET_NAME_, CONVERSATION_HEADERS_, true).appendRow(encodeSheetRow_(values));
+}
+
+/** Rows per export page: default and maximum `limit` */
+var EXPORT_PAGE_SIZE_ = 500;
+var EXPORT_MAX_PAGE_SIZE_ = 5000;
+
+/**
+ * GET ?action=export - submissions for CRM imports and reporting scripts
+ * (or POST with the same fields form-urlencoded, which keeps the key out of
+ * URLs, server logs and browser history)
+ * Parameters (all optional except key):
+ *   key    - EXPORT_API_KEY
+ *   formId - Form to export (default: the default form)
+ *   format - json (default) or csv
+ *   from   - Received At lower bound, inclusive
+ *   to     - Received At upper bound, exclusive (a date-only value includes that day)
+ *            Dates are YYYY-MM-DD (script time zone), ISO timestamps or milliseconds
+ *   status - Comma-separated LEAD_STATUSES_ (case-insensitive; empty Status counts as New)
+ *   offset, limit - Page of the matching rows (limit default 500, max 5000)
+ * Rows are ordered by Received At, oldest first, so offsets stay valid while
+ * new submissions arrive. Only the Received At, Form ID and Status columns are
+ * read for every row; full rows are read for the requested page only.
+ * Errors are always JSON.
+ * @param {Object} params - e.parameter
+ * @param {Object} config - From getConfig_()
+ * @returns {ContentService.TextOutput} - JSON { status, total, offset, limit, nextOffset, items }
+ *          or CSV (header row + one row per submission)
+ */
+function exportSubmissions_(params, config) {
+  verifyExportKey_(params.key, config);
+  var form = getFormConfig_(config, params.formId);
+
+  var format = String(params.format || "json").toLowerCase();
+  if (format !== "json" && format !== "csv") {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "format must be json or csv.");
+  }
+  var from = parseExportDate_(params.from, "from", false);
+  var to = parseExportDate_(params.to, "to", true);
+  var statuses = parseExportStatuses_(params.status);
+  var offset = parseExportInteger_(params.offset, "offset", 0, 0, 1000000);
+  var limit = parseExportInteger_(params.limit, "limit", EXPORT_PAGE_SIZE_, 1, EXPORT_MAX_PAGE_SIZE_);
+
+  var sheet = getSubmissionSheet_(form);
+  var matches = readSubmissionColumns_(sheet, ["receivedAt", "formId", "status"]).map(function(record) {
+    var receivedAt = toDate_(record.receivedAt);
+    record.time = receivedAt ? receivedAt.getTime() : 0;
+    return record;
+  }).filter(function(record) {
+    if ((String(record.formId || "").trim() || DEFAULT_FORM_ID_) !== form.formId) {
+      return false;
+    }
+    if ((from !== null && record.time < from) || (to !== null && record.time >= to)) {
+      return false;
+    }
+    return !statuses || statuses.indexOf(normalizeLeadStatus_(record.status)) !== -1;
+  }).sort(function(a, b) {
+    return (a.time - b.time) || (a.row - b.row);
+  });
+
+  var pageMatches = matches.slice(offset, offset + limit);
+  var byRow = readSubmissionRowsAt_(sheet, pageMatches.map(function(match) { return match.row; }));
+  var page = pageMatches.map(function(match) {
+    var record = byRow[match.row];
+    record.status = normalizeLeadStatus_(record.status);
+    return record;
+  });
+  var columns = getSubmissionColumns_();
+
+  if (format === "csv") {
+    var rows = [columns.map(function(column) { return column.header; })].concat(page.map(function(record) {
+      return columns.map(function(column) { return record[column.key]; });
+    }));
+    return ContentService.createTextOutput(toCsv_(rows)).setMimeType(ContentService.MimeType.CSV);
+  }
+
+  return createResponse_({
+    status: "success",
+    total: matches.length,
+    offset: offset,
+    limit: limit,
+    nextOffset: offset + page.length < matches.length ? offset + page.length : null,
+    items: page.map(function(record) {
+      var item = {};
+      columns.forEach(function(column) {
+        var value = record[column.key];
+        item[column.key] = value instanceof Date ? value.toISOString() : (value === undefined ? "" : value);
+      });
+      return item;
+    })
+  }, 200);
+}
+
+/**
+ * @param {*} key - The key parameter
+ * @param {Object} config - From getConfig_()
+ * @throws {Error} - UNAUTHORIZED if export is disabled or the key is wrong
+ */
+function verifyExportKey_(key, config) {
+  if (!config.exportApiKey) {
+    throw submissionError_(FormContract.errorCodes.UNAUTHORIZED, "Export is disabled (EXPORT_API_KEY is not set).");
+  }
+  if (!constantTimeEquals_(String(key || ""), config.exportApiKey)) {
+    throw submissionError_(FormContract.errorCodes.UNAUTHORIZED, "Invalid API key.");
+  }
+}
+
+/**
+ * @param {*} value - from/to parameter
+ * @param {string} name - Parameter name (for the error message)
+ * @param {boolean} isEnd - A date-only value means the end of that day (next midnight)
+ * @returns {number|null} - Timestamp (ms), or null if not given
+ */
+function parseExportDate_(value, name, isEnd) {
+  var text = String(value === undefined || value === null ? "" : value).trim();
+  if (text === "") {
+    return null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    var day = new Date(text + "T00:00:00Z");
+    if (!isNaN(day.getTime())) {
+      if (isEnd) {
+        day.setUTCDate(day.getUTCDate() + 1);
+      }
+      // Midnight in the script's time zone, not UTC
+      return Utilities.parseDate(day.toISOString().substring(0, 10), Session.getScriptTimeZone() || "UTC", "yyyy-MM-dd").getTime();
+    }
+  }
+
+  var date = /^\d+$/.test(text) ? new Date(Number(text)) : new Date(text);
+  if (isNaN(date.getTime())) {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, name + " must be a date (YYYY-MM-DD), an ISO timestamp or milliseconds.");
+  }
+  return date.getTime();
+}
+
+/**
+ * @param {*} value - status parameter, e.g. "new,contacted"
+ * @returns {Array<string>|null} - LEAD_STATUSES_ names, or null for all
+ */
+function parseExportStatuses_(value) {
+  var names = String(value || "").split(",").map(function(name) {
+    return name.trim().toLowerCase();
+  }).filter(function(name) { return name !== ""; });
+  if (names.length === 0) {
+    return null;
+  }
+
+  return names.map(function(name) {
+    var status = LEAD_STATUSES_.filter(function(candidate) {
+      return candidate.toLowerCase() === name;
+    })[0];
+    if (!status) {
+      throw submissionError_(FormContract.errorCodes.BAD_REQUEST, "status must be one of " + LEAD_STATUSES_.join(", ") + " (got \"" + name + "\").");
+    }
+    return status;
+  });
+}
+
+/**
+ * @param {*} value - offset/limit parameter
+ * @param {string} name - Parameter name (for the error message)
+ * @param {number} defaultValue - Used when the parameter is missing
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function parseExportInteger_(value, name, defaultValue, min, max) {
+  var text = String(value === undefined || value === null ? "" : value).trim();
+  if (text === "") {
+    return defaultValue;
+  }
+  var num = Number(text);
+  if (!/^\d+$/.test(text) || num < min || num > max) {
+    throw submissionError_(FormContract.errorCodes.BAD_REQUEST, name + " must be a whole number between " + min + " and " + max + ".");
+  }
+  return num;
+}
+
+/** Tab of webhook deliveries waiting to be sent (Attempts 0) or retried, both by retryFailedWebhooks */
+var FAILED_WEBHOOK_SHEET_NAME_ = "Failed Webhooks";
+var FAILED_WEBHOOK_HEADERS_ = ["Failed At", "Delivery ID", "Event", "Submission ID", "Form ID", "URL", "Payload", "Attempts", "Next Attempt", "Last Error"];
+/** Minutes before each retry; after the last one the row waits for redeliverWebhooks() */
+var WEBHOOK_RETRY_DELAYS_MINUTES_ = [15, 60, 240, 720];
+var WEBHOOK_RETRY_TRIGGER_HANDLER_ = "retryFailedWebhooks";
+/** Event names (X-Webhook-Event header and `event` in the payload) */
+var WEBHOOK_EVENTS_ = { SUBMISSION: "submission.created", TEST: "webhook.test" };
+
+/**
+ * Queue an accepted submission for each of the form's WEBHOOK_URLS
+ * Each URL gets a Failed Webhooks row with its own delivery ID, 0 attempts and
+ * a Next Attempt of now; retryFailedWebhooks sends it. The caller holds the
+ * script lock. Never throws.
+ * @param {Object} values - Submission values keyed by column key (as written to the sheet)
+ * @param {Object} config - From getFormConfig_()
+ * @returns {number} - Deliveries queued
+ */
+function queueSubmissionWebhooks_(values, config) {
+  try {
+    var submission = webhookSubmission_(values);
+    var sheet = getLogSheet_(FAILED_WEBHOOK_SHEET_NAME_, FAILED_WEBHOOK_HEADERS_, true);
+    var now = new Date();
+    config.webhookUrls.forEach(function(url) {
+      var payload = webhookPayload_(WEBHOOK_EVENTS_.SUBMISSION, submission);
+      sheet.appendRow(encodeSheetRow_([
+        "", payload.id, payload.event, submission.submissionId, submission.formId, url,
+        JSON.stringify(payload), 0, now, ""
+      ]));
+    });
+    ensureWebhookRetryTrigger_();
+    return config.webhookUrls.length;
+  } catch (err) {
+    Logger.log("Webhooks for " + values.submissionId + " not queued: " + err);
+    return 0;
+  }
+}
+
+/**
+ * POST a stored submission to each of the form's WEBHOOK_URLS right away
+ * (redeliverWebhooks; new submissions are queued by queueSubmissionWebhooks_)
+ * Each URL gets its own delivery ID; failed deliveries are logged in the
+ * Failed Webhooks tab for retryFailedWebhooks. Never throws.
+ * @param {Object} values - Submission values keyed by column key (as written to the sheet)
+ * @param {Object} config - From getFormConfig_()
+ * @returns {{delivered:number, failed:number}}
+ */
+function sendSubmissionWebhooks_(values, config) {
+  var result = { delivered: 0, failed: 0 };
+  var submission = webhookSubmission_(values);
+  config.webhookUrls.forEach(function(url) {
+    try {
+      var payload = webhookPayload_(WEBHOOK_EVENTS_.SUBMISSION, submission);
+      var error = postWebhook_(url, payload, config);
+      if (!error) {
+        result.delivered += 1;
+        return;
+      }
+      Logger.log("Webhook " + payload.id + " to " + url + " failed: " + error);
+      logFailedWebhook_(url, payload, error);
+      result.failed += 1;
+    } catch (err) {
+      Logger.log("Webhook to " + url + " not sent: " + err);
+      result.failed += 1;
+    }
+  });
+  return result;
+}
+
+/**
+ * Normalized submission for webhook payloads
+ * @param {Object} values - Keyed by column key (written values, or a row from readSubmissionRow_)
+ * @returns {Object}
+ */
+function webhookSubmission_(values) {
+  var text = function(value) {
+    return value === null || value === undefined ? "" : String(value);
+  };
+  var fields = {};
+  FormContract.fields.forEach(function(field) {
+    fields[field.id] = text(values[field.id]);
+  });
+  var submissionId = text(values.submissionId);
+  var receivedAt = toDate_(values.receivedAt);
+
+  return {
+    submissionId: submissionId,
+    reference: submissionId ? formatReference_(submissionId) : "",
+    formId: text(values.formId) || DEFAULT_FORM_ID_,
+    receivedAt: receivedAt ? receivedAt.toISOString() : "",
+    status: normalizeLeadStatus_(values.status),
+    fields: fields,
+    source: text(values.source),
+    formVersion: text(values.formVersion),
+    consentVersion: text(values.consentVersion),
+    spam: {
+      flagged: text(values.spam).toLowerCase() === "yes",
+      score: Number(values.spamScore) || 0,
+      reasons: text(values.spamReasons).split(/\s*,\s*/).filter(function(reason) { return reason !== ""; })
+    }
+  };
+}
+
+/**
+ * @param {string} event - One of WEBHOOK_EVENTS_
+ * @param {Object} submission - From webhookSubmission_
+ * @returns {{id:string, event:string, createdAt:string, submission:Object}}
+ */
+function webhookPayload_(event, submission) {
+  return {
+    id: Utilities.getUuid(),
+    event: event,
+    createdAt: new Date().toISOString(),
+    submission: submission
+  };
+}
+
+/**
+ * POST one signed delivery
+ * Headers: X-Webhook-Id (same on every retry), X-Webhook-Event,
+ * X-Webhook-Timestamp (Unix seconds) and X-Webhook-Signature:
+ * "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with WEBHOOK_SECRET
+ * @param {string} url
+ * @param {Object} payload - From webhookPayload_
+ * @param {Object} config - From getConfig_() (WEBHOOK_SECRET)
+ * @returns {string} - Error description, or "" if the receiver answered 2xx
+ */
+function postWebhook_(url, payload, config) {
+  if (!config.webhookSecret) {
+    return "WEBHOOK_SECRET is not set (run setup())";
+  }
+  var body = JSON.stringify(payload);
+  var timestamp = String(Math.floor(Date.now() / 1000));
+  var signature = Utilities.computeHmacSha256Signature(timestamp + "." + body, config.webhookSecret, Utilities.Charset.UTF_8);
+
+  try {
+    var response = UrlFetchApp.fetch(url, {
+      method: "post",
+      contentType: "application/json; charset=utf-8",
+      payload: body,
+      headers: {
+        "X-Webhook-Id": payload.id,
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": "sha256=" + toHex_(signature)
+      },
+      followRedirects: false,
+      muteHttpExceptions: true
+    });
+    var code = response.getResponseCode();
+    if (code >= 200 && code < 300) {
+      return "";
+    }
+    return "HTTP " + code + ": " + clampText_(response.getContentText(), 200);
+  } catch (err) {
+    // DNS failures, timeouts, refused connections
+    return String(err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Store a failed delivery for retryFailedWebhooks (never throws)
+ * @param {string} url
+ * @param {Object} payload - From webhookPayload_
+ * @param {string} error - Last Error column
+ */
+function logFailedWebhook_(url, payload, error) {
+  var lock = LockService.getScriptLock();
+  try {
+    // Creating the sheet must not race another failed delivery
+    lock.waitLock(LOCK_TIMEOUT_MS_);
+    var sheet = getLogSheet_(FAILED_WEBHOOK_SHEET_NAME_, FAILED_WEBHOOK_HEADERS_, true);
+    sheet.appendRow(encodeSheetRow_([
+      new Date(), payload.id, payload.event, payload.submission.submissionId, payload.submission.formId, url,
+      JSON.stringify(payload), 1, nextWebhookAttempt_(1), error
+    ]));
+    ensureWebhookRetryTrigger_();
+  } catch (err) {
+    Logger.log("Could not log failed webhook " + payload.id + " to " + url + ": " + err);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @param {number} attempts - Deliveries tried so far
+ * @returns {Date|string} - When to retry, or "" once WEBHOOK_RETRY_DELAYS_MINUTES_ is used up
+ */
+function nextWebhookAttempt_(attempts) {
+  var delay = WEBHOOK_RETRY_DELAYS_MINUTES_[attempts - 1];
+  return delay === undefined ? "" : new Date(Date.now() + delay * 60 * 1000);
+}
+
+/**
+ * Time-driven trigger (every 5 minutes, installed with the first queued delivery
+ * and by setup()): send queued deliveries and retry failed ones whose Next
+ * Attempt has come. Delivered rows are removed; rows without a Next Attempt
+ * have given up (see redeliverWebhooks).
+ * @param {Object=} e - Trigger event (see requireTriggerOrAdmin_)
+ * @returns {{delivered:number, failed:number}}
+ */
+function retryFailedWebhooks(e) {
+  requireTriggerOrAdmin_(e);
+  var now = Date.now();
+  return processFailedWebhooks_(function(row) {
+    var next = toDate_(row[8]);
+    return next !== null && next.getTime() <= now;
+  });
+}
+
+/**
+ * Run from the editor (or Leads → Resend to webhooks): deliver again now
+ * Without an ID every row of the Failed Webhooks tab is retried, including
+ * those that gave up. With an ID that submission's failed deliveries are
+ * retried; if it has none, it is sent again from the sheet (new delivery ID)
+ * to its form's current WEBHOOK_URLS.
+ * Payloads carry personal data, so web app callers are refused (requireTriggerOrAdmin_)
+ * @param {string=} submissionId
+ * @returns {{delivered:number, failed:number}}
+ */
+function redeliverWebhooks(submissionId) {
+  requireTriggerOrAdmin_();
+  submissionId = String(submissionId || "").trim();
+  if (!submissionId) {
+    return processFailedWebhooks_(function() { return true; });
+  }
+  if (!SUBMISSION_ID_PATTERN_.test(submissionId)) {
+    throw new Error("Invalid submission ID.");
+  }
+
+  var matched = false;
+  var result = processFailedWebhooks_(function(row) {
+    var match = String(row[3]) === submissionId;
+    matched = matched || match;
+    return match;
+  });
+  if (matched) {
+    return result;
+  }
+
+  var config = getConfig_();
+  var record = findSubmissionRecord_(config, submissionId);
+  if (!record) {
+    throw new Error("Submission " + submissionId + " not found.");
+  }
+  var form = getFormConfig_(config, record.formId);
+  if (form.webhookUrls.length === 0) {
+    throw new Error("No WEBHOOK_URLS are set for form \"" + form.formId + "\".");
+  }
+  return sendSubmissionWebhooks_(record, form);
+}
+
+/**
+ * Find a submission in any form's sheet
+ * @param {Object} config - From getConfig_()
+ * @param {string} submissionId
+ * @returns {Object|null} - From readSubmissionRow_
+ */
+function findSubmissionRecord_(config, submissionId) {
+  var forms = listFormConfigs_(config);
+  for (var i = 0; i < forms.length; i++) {
+    var sheet = getSubmissionSheet_(forms[i]);
+    var row = findSubmissionRow_(sheet, submissionId);
+    if (row) {
+      return readSubmissionRow_(sheet, row);
+    }
+  }
+  return null;
+}
+
+/**
+ * Retry the Failed Webhooks rows selected by `shouldRetry`
+ * @param {function(Array):boolean} shouldRetry - Gets the row's cells
+ * @returns {{delivered:number, failed:number}}
+ */
+function processFailedWebhooks_(shouldRetry) {
+  var result = { delivered: 0, failed: 0 };
+  var sheet = getLogSheet_(FAILED_WEBHOOK_SHEET_NAME_, FAILED_WEBHOOK_HEADERS_, false);
+  var lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < 2) {
+    return result;
+  }
+
+  // Overlapping runs would deliver the same rows twice
+  var cache = CacheService.getScriptCache();
+  if (cache.get("failed-webhooks:running")) {
+    Logger.log("Failed webhooks are already being retried");
+    return result;
+  }
+  cache.put("failed-webhooks:running", "1", 300);
+
+  try {
+    var config = getConfig_();
+    var rows = sheet.getRange(2, 1, lastRow - 1, FAILED_WEBHOOK_HEADERS_.length).getValues();
+    var deliveredRows = [];
+
+    rows.forEach(function(row, index) {
+      if (!shouldRetry(row)) {
+        return;
+      }
+      var error;
+      try {
+        error = postWebhook_(String(row[5]), JSON.parse(String(row[6])), config);
+      } catch (err) {
+        error = "Payload is not valid JSON";
+      }
+      if (!error) {
+        deliveredRows.push(index + 2);
+        result.delivered += 1;
+        return;
+      }
+      var attempts = (Number(row[7]) || 0) + 1;
+      if (!row[0]) {
+        // First attempt of a queued delivery
+        sheet.getRange(index + 2, 1).setValue(new Date());
+      }
+      sheet.getRange(index + 2, 8, 1, 3).setValues([[attempts, nextWebhookAttempt_(attempts), encodeSheetValue_(error)]]);
+      result.failed += 1;
+    });
+
+    // Bottom-up, so earlier row numbers stay valid (new rows are only ever appended)
+    for (var i = deliveredRows.length - 1; i >= 0; i--) {
+      sheet.deleteRow(deliveredRows[i]);
+    }
+
+    Logger.log("Webhooks redelivered: " + result.delivered + ", still failing: " + result.failed);
+    return result;
+  } finally {
+    cache.remove("failed-webhooks:running");
+  }
+}
+
+/**
+ * Install the retryFailedWebhooks trigger unless it exists
+ * @returns {boolean} - true if it was created now
+ */
+function ensureWebhookRetryTrigger_() {
+  var exists = ScriptApp.getProjectTriggers().some(function(trigger) {
+    return trigger.getHandlerFunction() === WEBHOOK_RETRY_TRIGGER_HANDLER_;
+  });
+  if (exists) {
+    return false;
+  }
+  ScriptApp.newTrigger(WEBHOOK_RETRY_TRIGGER_HANDLER_).timeBased().everyMinutes(5).create();
+  return true;
+}
+
+/**
+ * Run from the editor: send a "webhook.test" event with sample values to
+ * every form's WEBHOOK_URLS and log each receiver's answer. Test deliveries
+ * are not retried. Web app callers are refused (requireTriggerOrAdmin_)
+ * @returns {Array<{formId:string, url:string, ok:boolean, error:string}>}
+ */
+function sendTestWebhook() {
+  requireTriggerOrAdmin_();
+  var config = getConfig_();
+  var results = [];
+  listFormConfigs_(config).forEach(function(form) {
+    var sample = { submissionId: Utilities.getUuid(), formId: form.formId, receivedAt: new Date(), status: LEAD_STATUS_NEW_, source: "test" };
+    FormContract.fields.forEach(function(field) {
+      sample[field.id] = field.type === "email" ? "test@example.com"
+        : field.type === "checkbox" ? (field.checkedValue || "yes") : "Test " + (field.header || field.label || field.id);
+    });
+    form.webhookUrls.forEach(function(url) {
+      var error = postWebhook_(url, webhookPayload_(WEBHOOK_EVENTS_.TEST, webhookSubmission_(sample)), config);
+      Logger.log((error ? "✗ " : "✓ ") + form.formId + " → " + url + (error ? ": " + error : ""));
+      results.push({ formId: form.formId, url: url, ok: !error, error: error });
+    });
+  });
+  if (results.length === 0) {
+    Logger.log("No WEBHOOK_URLS are set");
+  }
+  return results;
+}
+
+/** Tab logging retention purges and erasure requests (one row per action) */
+var PRIVACY_LOG_SHEET_NAME_ = "Privacy Log";
+var PRIVACY_LOG_HEADERS_ = ["At", "Action", "Form ID", "Email Hash", "Rows", "Details", "By"];
+/** Action column values */
+var PRIVACY_ACTIONS_ = {
+  PURGE: "Retention purge",
+  ERASURE_REQUESTED: "Erasure requested",
+  ERASURE_COMPLETED: "Erasure completed"
+};
+var PURGE_TRIGGER_HANDLER_ = "purgeExpiredSubmissions";
+/** Hour of the day (script time zone) the purge runs */
+var PURGE_HOUR_ = 3;
+/** Columns cleared by the purge besides the schema fields (the consent field is kept) */
+var ANONYMIZED_COLUMNS_ = ["userAgent", "notes"];
+/** How long an erasure confirmation link stays valid */
+var ERASURE_LINK_TTL_SECONDS_ = 86400;
+/** Script Property prefix of unused confirmation links; value "<expiresAtMs>.<email hash>" */
+var ERASURE_LINK_PROPERTY_PREFIX_ = "ERASURE_LINK:";
+/** Shown for links that were used already (or belong to an address erased since) */
+var ERASURE_LINK_USED_MESSAGE_ = "This link has already been used. Please request a new one.";
+/** Erasure requests are counted per this many seconds (see takeErasureSlot_) */
+var ERASURE_WINDOW_SECONDS_ = 900;
+/** Requests one browser may make per window, whatever the addresses */
+var ERASURE_REQUESTS_PER_CLIENT_ = 3;
+/** Confirmation links one address gets per window, whoever asks */
+var ERASURE_LINKS_PER_ADDRESS_ = 3;
+
+/**
+ * Time-driven trigger (daily, installed by setup() when a form has
+ * RETENTION_DAYS): anonymize submissions received longer ago than their
+ * form's RETENTION_DAYS. Personal values are cleared and Anonymized At is
+ * stamped; the row itself stays, so statuses, sources and spam counts remain
+ * in reports. Replies, queued emails and failed webhook deliveries about those
+ * submissions are deleted (see deleteRelatedLogRows_). Each form with
+ * anonymized rows gets a Privacy Log row.
+ * @param {Object=} e - Trigger event (see requireTriggerOrAdmin_)
+ * @returns {{anonymized:number}}
+ */
+function purgeExpiredSubmissions(e) {
+  requireTriggerOrAdmin_(e);
+  var config = getConfig_();
+  var anonymized = 0;
+  var failures = [];
+
+  // Rows must not move (erasure) or be appended half-written while cells are cleared
+  var lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_TIMEOUT_MS_);
+  try {
+    listFormConfigs_(config).forEach(function(form) {
+      if (!(form.retentionDays > 0)) {
+        return;
+      }
+      // One form's missing tab must not hold back the others
+      try {
+        var sheet = getSubmissionSheet_(form);
+        ensureSubmissionHeaders_(sheet);
+        var cutoff = Date.now() - form.retentionDays * 24 * 60 * 60 * 1000;
+        var expired = readFormRows_(sheet, form.formId).filter(function(record) {
+          var receivedAt = toDate_(record.receivedAt);
+          return receivedAt && receivedAt.getTime() < cutoff && !record.anonymizedAt;
+        });
+        if (expired.length === 0) {
+          return;
+        }
+
+        // Related rows first: if a tab is busy the run fails before anything is
+        // anonymized, and the next run finds the same submissions again
+        var emails = expired.map(function(record) {
+          return String(record.email || "").trim().toLowerCase();
+        });
+        var related = deleteRelatedLogRows_(submissionIds_(expired), emails, new Date(cutoff));
+        anonymizeSubmissionRows_(sheet, expired);
+        logPrivacyAction_(PRIVACY_ACTIONS_.PURGE, form.formId, "", expired.length,
+          "Received more than " + form.retentionDays + " days ago; " + related + " related row(s) deleted", PURGE_TRIGGER_HANDLER_);
+        anonymized += expired.length;
+      } catch (err) {
+        failures.push(form.formId + ": " + err.message);
+      }
+    });
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log("Anonymized " + anonymized + " expired submission(s)");
+  if (failures.length > 0) {
+    throw new Error("Retention purge failed for " + failures.join("; "));
+  }
+  return { anonymized: anonymized };
+}
+
+/**
+ * Clear the personal columns of some rows and stamp Anonymized At
+ * Consecutive rows are written as one range (expired rows are mostly the
+ * oldest, at the top of the sheet).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Submission sheet (headers ensured)
+ * @param {Array<Object>} records - From readSubmissionRows_
+ */
+function anonymizeSubmissionRows_(sheet, records) {
+  var keys = FormContract.fields.filter(function(field) {
+    return field.id !== CONSENT_FIELD_ID_;
+  }).map(function(field) { return field.id; }).concat(ANONYMIZED_COLUMNS_);
+  var now = new Date();
+
+  var runs = [];
+  records.map(function(record) { return record.row; }).sort(function(a, b) { return a - b; }).forEach(function(row) {
+    var last = runs[runs.length - 1];
+    if (last && last.start + last.count === row) {
+      last.count += 1;
+    } else {
+      runs.push({ start: row, count: 1 });
+    }
+  });
+
+  keys.concat(["anonymizedAt"]).forEach(function(key) {
+    var column = findSubmissionColumn_(sheet, key);
+    if (!column) {
+      return;
+    }
+    runs.forEach(function(run) {
+      var cells = [];
+      for (var i = 0; i < run.count; i++) {
+        cells.push([key === "anonymizedAt" ? now : ""]);
+      }
+      sheet.getRange(run.start, column, run.count, 1).setValues(cells);
+    });
+  });
+}
+
+/**
+ * (Re)install the purgeExpiredSubmissions trigger to match RETENTION_DAYS
+ * @param {Array<Object>} forms - From listFormConfigs_()
+ * @returns {string} - Description for the setup() report
+ */
+function ensurePurgeTrigger_(forms) {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === PURGE_TRIGGER_HANDLER_) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  var retained = forms.filter(function(form) { return form.retentionDays > 0; });
+  if (retained.length === 0) {
+    return "No retention purge (RETENTION_DAYS = 0)";
+  }
+
+  ScriptApp.newTrigger(PURGE_TRIGGER_HANDLER_).timeBased().everyDays(1).atHour(PURGE_HOUR_).create();
+  return "Retention purge trigger: daily at " + PURGE_HOUR_ + ":00 (" + retained.map(function(form) {
+    return form.formId + " after " + form.retentionDays + " days";
+  }).join(", ") + ")";
+}
+
+/**
+ * Serve the erasure page (Erasure.html)
+ * Without a token it asks for an email address (requestErasure); the emailed
+ * link brings the visitor back with a token to confirm (confirmErasure).
+ * Nothing is deleted by opening the link itself - mail scanners open links too.
+ * @param {string} token - From the confirmation link ("" for the request form)
+ * @returns {HtmlService.HtmlOutput}
+ */
+function renderErasurePage_(token) {
+  var template = HtmlService.createTemplateFromFile("Erasure");
+  template.token = token;
+  template.pageUrl = ScriptApp.getService().getUrl() + "?action=erasure";
+  template.email = "";
+  template.error = "";
+  if (token) {
+    try {
+      template.email = maskEmail_(verifyErasureToken_(token, getConfig_()).email);
+    } catch (error) {
+      template.error = error.message;
+    }
+  }
+  return template.evaluate()
+    .setTitle("Delete my data")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/**
+ * google.script.run (erasure page): email a confirmation link to an address
+ * that has submissions. The answer is the same whether or not any are stored,
+ * so the page can't be used to find out who contacted us. Each browser may
+ * ask ERASURE_REQUESTS_PER_CLIENT_ times per window, and each address gets at
+ * most ERASURE_LINKS_PER_ADDRESS_ links per window (further requests send
+ * nothing), so one visitor can neither flood an inbox nor use up its links.
+ * Only requests for stored addresses are logged, so random addresses can't
+ * fill the Privacy Log.
+ * @param {string} email
+ * @param {Object=} client - Browser details from the page (see clientFingerprint_)
+ * @returns {{message:string}}
+ */
+function requestErasure(email, client) {
+  var config = getConfig_();
+  email = String(email || "").trim().toLowerCase();
+  if (!isValidEmail_(email)) {
+    throw new Error("Please enter a valid email address.");
+  }
+  var fingerprint = clientFingerprint_(client && typeof client === "object" ? client : {});
+  var retryAfter = takeErasureSlot_("erasure:client:" + fingerprint, ERASURE_REQUESTS_PER_CLIENT_);
+  if (retryAfter > 0) {
+    throw new Error("Too many requests. Please try again in " + Math.ceil(retryAfter / 60) + " minute(s).");
+  }
+  var response = {
+    message: "If we hold any data for " + email + ", we have sent it a confirmation link. The link is valid for " +
+      (ERASURE_LINK_TTL_SECONDS_ / 3600) + " hours."
+  };
+
+  if (takeErasureSlot_("erasure:email:" + hashEmail_(email), ERASURE_LINKS_PER_ADDRESS_) > 0) {
+    return response;
+  }
+
+  var found = findSubmissionsByEmail_(config, email);
+  var count = found.reduce(function(total, entry) { return total + entry.records.length; }, 0);
+  if (count === 0) {
+    return response;
+  }
+  var link = ScriptApp.getService().getUrl() + "?action=erasure&token=" + encodeURIComponent(issueErasureToken_(email, config));
+  var details = deliverMail_(renderErasureEmail_(email, link), "erasure") ? "Confirmation link sent" : "Confirmation link queued";
+  logPrivacyAction_(PRIVACY_ACTIONS_.ERASURE_REQUESTED, formIdsOf_(found), hashEmail_(email), count, details, "Erasure page");
+  return response;
+}
+
+/**
+ * Sliding-window counter for erasure requests (stored like enforceRateLimit_'s)
+ * @param {string} key - Cache key
+ * @param {number} max - Requests allowed per ERASURE_WINDOW_SECONDS_
+ * @returns {number} - 0 if this request was counted, else seconds until one is allowed
+ */
+function takeErasureSlot_(key, max) {
+  var cache = CacheService.getScriptCache();
+  var windowMs = ERASURE_WINDOW_SECONDS_ * 1000;
+  var now = Date.now();
+  var hits = readRateHits_(cache.get(key), now - windowMs);
+  if (hits.length >= max) {
+    return Math.max(Math.ceil((hits[hits.length - max] + windowMs - now) / 1000), 1);
+  }
+  hits.push(now);
+  cache.put(key, JSON.stringify(hits), ERASURE_WINDOW_SECONDS_);
+  return 0;
+}
+
+/**
+ * google.script.run (erasure page, opened from the link): delete every
+ * submission row with the link's email address in all forms' tabs, plus its
+ * replies (Conversations), queued emails (Unsent Notifications) and failed
+ * webhook deliveries. The Privacy Log keeps only a hash of the address.
+ * The link, and every other link sent to the address, can't be used again.
+ * @param {string} token - From the confirmation link
+ * @returns {{deleted:number, message:string}}
+ */
+function confirmErasure(token) {
+  var config = getConfig_();
+  var link = verifyErasureToken_(token, config);
+  var email = link.email;
+  var store = PropertiesService.getScriptProperties();
+
+  // Rows are deleted, so nothing else may find or write rows meanwhile
+  var lock = LockService.getScriptLock();
+  lock.waitLock(LOCK_TIMEOUT_MS_);
+  try {
+    // A second request with the same link may have waited for the lock
+    if (!store.getProperty(link.propertyKey)) {
+      throw new Error(ERASURE_LINK_USED_MESSAGE_);
+    }
+    var found = findSubmissionsByEmail_(config, email);
+    var records = [];
+    found.forEach(function(entry) { records = records.concat(entry.records); });
+    // Related rows first: a busy tab stops the erasure before anything is deleted
+    var related = deleteRelatedLogRows_(submissionIds_(records), [email], null);
+    found.forEach(function(entry) {
+      // Bottom-up, so earlier row numbers stay valid
+      for (var i = entry.records.length - 1; i >= 0; i--) {
+        entry.sheet.deleteRow(entry.records[i].row);
+      }
+    });
+    SpreadsheetApp.flush();
+    // Only now: an erasure stopped by a busy tab can be retried with the same link
+    pruneErasureLinks_(store, hashEmail_(email));
+    logPrivacyAction_(PRIVACY_ACTIONS_.ERASURE_COMPLETED, formIdsOf_(found), hashEmail_(email), records.length,
+      related + " related row(s) deleted", "Confirmation link");
+  } finally {
+    lock.releaseLock();
+  }
+
+  return {
+    deleted: records.length,
+    message: records.length > 0
+      ? "Your data has been deleted (" + records.length + " request(s))."
+      : "We hold no data for this address - nothing left to delete."
+  };
+}
+
+/**
+ * Submission rows with an email address, per sheet (forms sharing a tab are searched once)
+ * @param {Object} config - From getConfig_()
+ * @param {string} email - Lowercase
+ * @returns {Array<{sheet:GoogleAppsScript.Spreadsheet.Sheet, records:Array<Object>}>} - Sheets with matches only
+ */
+function findSubmissionsByEmail_(config, email) {
+  var seen = {};
+  var found = [];
+  listFormConfigs_(config).forEach(function(form) {
+    var sheet = getSubmissionSheet_(form);
+    var sheetKey = form.spreadsheetId + "/" + sheet.getName();
+    if (seen[sheetKey]) {
+      return;
+    }
+    seen[sheetKey] = true;
+    var records = readSubmissionRows_(sheet).filter(function(record) {
+      return String(record.email || "").trim().toLowerCase() === email;
+    });
+    if (records.length > 0) {
+      found.push({ sheet: sheet, records: records });
+    }
+  });
+  return found;
+}
+
+/**
+ * @param {Array<{records:Array<Object>}>} found - From findSubmissionsByEmail_
+ * @returns {string} - Comma-separated Form IDs of the rows
+ */
+function formIdsOf_(found) {
+  var ids = [];
+  found.forEach(function(entry) {
+    entry.records.forEach(function(record) {
+      var formId = String(record.formId || "").trim() || DEFAULT_FORM_ID_;
+      if (ids.indexOf(formId) === -1) {
+        ids.push(formId);
+      }
+    });
+  });
+  return ids.join(", ");
+}
+
+/**
+ * @param {Array<Object>} records - From readSubmissionRows_
+ * @returns {Array<string>} - Their submission IDs (rows without one are skipped)
+ */
+function submissionIds_(records) {
+  return records.map(function(record) {
+    return String(record.submissionId || "");
+  }).filter(function(id) { return id !== ""; });
+}
+
+/**
+ * Delete rows about some submissions and their senders from the script's own tabs:
+ * - Conversations: by Submission ID, or sent To one of the addresses
+ * - Failed Webhooks: by Submission ID, or a payload naming one of the submissions
+ * - Unsent Notifications: naming one of the submissions' references, or sent
+ *   to, replying to or mentioning one of the addresses
+ * Matches by address only count for rows dated before `before`, so the purge
+ * keeps what belongs to a sender's newer submissions.
+ * Call with the script lock held, so no rows are appended meanwhile.
+ * @param {Array<string>} submissionIds
+ * @param {Array<string>} emails - Lowercase addresses
+ * @param {Date} before - Oldest row date that is kept, or null for rows of any date
+ * @returns {number} - Rows deleted
+ * @throws {Error} - If a retry trigger is working through one of the tabs (nothing is deleted)
+ */
+function deleteRelatedLogRows_(submissionIds, emails, before) {
+  var references = submissionIds.map(formatReference_);
+  emails = emails.filter(function(email) { return email !== ""; });
+  var escapedEmails = emails.map(function(email) { return safe_(email).toLowerCase(); });
+
+  var hasId = function(value) { return submissionIds.indexOf(String(value)) !== -1; };
+  var isOld = function(value) {
+    var date = toDate_(value);
+    return !before || (date !== null && date.getTime() < before.getTime());
+  };
+  var isEmail = function(value, date) {
+    return isOld(date) && emails.indexOf(String(value).trim().toLowerCase()) !== -1;
+  };
+  var mentions = function(text, date) {
+    text = String(text).toLowerCase();
+    return references.some(function(reference) { return text.indexOf(reference.toLowerCase()) !== -1; }) ||
+      (isOld(date) && escapedEmails.some(function(escaped) { return text.indexOf(escaped) !== -1; }));
+  };
+
+  // The retry triggers delete the rows they delivered by number - keep them
+  // out (with their own running flags) while rows move
+  var cache = CacheService.getScriptCache();
+  var flags = ["unsent-mail:running", "failed-webhooks:running"];
+  if (flags.some(function(flag) { return cache.get(flag); })) {
+    throw new Error("Queued emails or webhooks are being sent right now. Please try again in a few minutes.");
+  }
+  flags.forEach(function(flag) { cache.put(flag, "1", 300); });
+
+  try {
+    var deleted = deleteLogRows_(CONVERSATION_SHEET_NAME_, CONVERSATION_HEADERS_, function(row) {
+      return hasId(row[1]) || isEmail(row[3], row[0]);
+    });
+    deleted += deleteLogRows_(FAILED_WEBHOOK_SHEET_NAME_, FAILED_WEBHOOK_HEADERS_, function(row) {
+      return hasId(row[3]) || mentions(row[6], row[0]);
+    });
+    deleted += deleteLogRows_(UNSENT_MAIL_SHEET_NAME_, UNSENT_MAIL_HEADERS_, function(row) {
+      return isEmail(row[2], row[0]) || isEmail(row[4], row[0]) || mentions(row[3], row[0]) || mentions(row[6], row[0]);
+    });
+    return deleted;
+  } finally {
+    flags.forEach(function(flag) { cache.remove(flag); });
+  }
+}
+
+/**
+ * Delete the rows of one of the script's own tabs that match
+ * @param {string} name - Tab name
+ * @param {Array<string>} headers - Its columns
+ * @param {function(Array):boolean} matches - Gets the row's cells
+ * @returns {number} - Rows deleted
+ */
+function deleteLogRows_(name, headers, matches) {
+  var sheet = getLogSheet_(name, headers, false);
+  var lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < 2) {
+    return 0;
+  }
+
+  var rows = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  var deleted = 0;
+  // Bottom-up, so earlier row numbers stay valid
+  for (var i = rows.length - 1; i >= 0; i--) {
+    if (matches(rows[i])) {
+      sheet.deleteRow(i + 2);
+      deleted += 1;
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Confirmation link token: "<expiresAtMs>.<email, web-safe base64>.<nonce>.<signature>"
+ * signed with TOKEN_SECRET (changing it invalidates all links). The nonce is
+ * kept in Script Properties until the link is used or expires.
+ * @param {string} email - Lowercase
+ * @param {Object} config - From getConfig_()
+ * @returns {string}
+ */
+function issueErasureToken_(email, config) {
+  var expiresAt = Date.now() + ERASURE_LINK_TTL_SECONDS_ * 1000;
+  var nonce = Utilities.getUuid().replace(/-/g, "");
+  var store = PropertiesService.getScriptProperties();
+  pruneErasureLinks_(store, "");
+  store.setProperty(ERASURE_LINK_PROPERTY_PREFIX_ + nonce, expiresAt + "." + hashEmail_(email));
+
+  var payload = expiresAt + "." + Utilities.base64EncodeWebSafe(email, Utilities.Charset.UTF_8).replace(/=+$/, "") +
+    "." + nonce;
+  return payload + "." + signValue_("erasure." + payload, config.tokenSecret);
+}
+
+/**
+ * @param {*} token - From the confirmation link
+ * @param {Object} config - From getConfig_()
+ * @returns {{email:string, propertyKey:string}} - The address the link was sent to, and its Script Property
+ * @throws {Error} - If the link was altered, has expired or was used
+ */
+function verifyErasureToken_(token, config) {
+  var parts = String(token || "").split(".");
+  if (parts.length !== 4 || !/^\d+$/.test(parts[0]) || !/^[A-Za-z0-9_-]+$/.test(parts[1]) || !/^[0-9a-f]+$/.test(parts[2]) ||
+      !constantTimeEquals_(parts[3], signValue_("erasure." + parts.slice(0, 3).join("."), config.tokenSecret))) {
+    throw new Error("This link is not valid. Please request a new one.");
+  }
+  if (Number(parts[0]) < Date.now()) {
+    throw new Error("This link has expired. Please request a new one.");
+  }
+  var propertyKey = ERASURE_LINK_PROPERTY_PREFIX_ + parts[2];
+  if (!PropertiesService.getScriptProperties().getProperty(propertyKey)) {
+    throw new Error(ERASURE_LINK_USED_MESSAGE_);
+  }
+  var padded = parts[1] + "===".substring(0, (4 - parts[1].length % 4) % 4);
+  return {
+    email: Utilities.newBlob(Utilities.base64DecodeWebSafe(padded)).getDataAsString(),
+    propertyKey: propertyKey
+  };
+}
+
+/**
+ * Delete the stored links that have expired, and every link of one address
+ * (after its erasure)
+ * @param {GoogleAppsScript.Properties.Properties} store - Script Properties
+ * @param {string} emailHash - From hashEmail_, or "" to prune expired links only
+ */
+function pruneErasureLinks_(store, emailHash) {
+  var props = store.getProperties();
+  var now = Date.now();
+  Object.keys(props).forEach(function(key) {
+    if (key.indexOf(ERASURE_LINK_PROPERTY_PREFIX_) !== 0) {
+      return;
+    }
+    var parts = String(props[key]).split(".");
+    if (!(Number(parts[0]) > now) || (emailHash && parts[1] === emailHash)) {
+      store.deleteProperty(key);
+    }
+  });
+}
+
+/**
+ * "jane@example.com" → "j***@example.com" (shown on the confirmation page)
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail_(email) {
+  var at = email.indexOf("@");
+  return email.charAt(0) + "***" + email.substring(at);
+}
+
+/**
+ * Confirmation email with the erasure link
+ * @param {string} email
+ * @param {string} link - Web app URL with the token
+ * @returns {Object} - MailApp.sendEmail options
+ */
+function renderErasureEmail_(email, link) {
+  var intro = '<p style="margin:0 0 12px 0;">We received a request to delete the data stored from our contact form for ' +
+    safe_(email) + '.</p>' +
+    '<p style="margin:0 0 12px 0;">To confirm, open the link below and press <strong>Delete my data</strong>. ' +
+    'If you did not ask for this, ignore this email - nothing will be deleted.</p>';
+
+  return {
+    to: email,
+    subject: 'Confirm the deletion of your data',
+    htmlBody: renderEmailLayout_({
+      heading: 'Confirm the deletion of your data',
+      introHtml: intro,
+      rowsHtml: emailRow_('Confirmation link', '<a href="' + safe_(link) + '">Delete my data</a>') +
+        emailRow_('Valid for', safe_((ERASURE_LINK_TTL_SECONDS_ / 3600) + ' hours')),
+      footer: 'This link works once and can only delete data stored for this email address.'
+    })
+  };
+}
+
+/**
+ * Append one row to the Privacy Log tab (created on first use)
+ * @param {string} action - One of PRIVACY_ACTIONS_
+ * @param {string} formId - Form ID(s) concerned
+ * @param {string} emailHash - hashEmail_() of the address ("" for purges) - the address itself is never logged
+ * @param {number} rows - Submissions concerned
+ * @param {string} details
+ * @param {string} by - What triggered the action
+ */
+function logPrivacyAction_(action, formId, emailHash, rows, details, by) {
+  getLogSheet_(PRIVACY_LOG_SHEET_NAME_, PRIVACY_LOG_HEADERS_, true)
+    .appendRow(encodeSheetRow_([new Date(), action, formId, emailHash, rows, details, by]));
+}
+
+/**
+ * Short, human-friendly reference number derived from the submission ID
+ * @param {string} submissionId - UUID
+ * @returns {string} - e.g. "REF-3F2A9C4E"
+ */
+function formatReference_(submissionId) {
+  return 'REF-' + String(submissionId).replace(/-/g, '').substring(0, 8).toUpperCase();
+}
+
+/**
+ * Email subject prefix naming the form, e.g. "[partners] " (empty for the default form)
+ * @param {Object} config - From getFormConfig_()
+ * @returns {string}
+ */
+function formTag_(config) {
+  return config.formId && config.formId !== DEFAULT_FORM_ID_ ? '[' + config.formId + '] ' : '';
+}
+
+/**
+ * Email table rows for every schema field
+ * @param {Object} payload - Values keyed by field id
+ * @returns {string} - HTML rows (see emailRow_)
+ */
+function submissionEmailRows_(payload) {
+  return FormContract.fields.map(function(field) {
+    return emailRow_(field.header || field.label || field.id, safe_(payload[field.id]), field.type === 'textarea');
+  }).join('');
+}
+
+/**
+ * Shared inline-styled email layout (designer-friendly, readable)
+ * @param {{heading:string, subheading:(string|undefined), introHtml:(string|undefined),
+ *          rowsHtml:string, footer:(string|undefined)}} parts - Text values are escaped;
+ *          *Html values must already be safe
+ * @returns {string} - Complete HTML document
+ */
+function renderEmailLayout_(parts) {
+  var primary = '#056608';
+  var text = '#333333';
+  var bg = '#f7fbff';
+  var rowBg = '#ffffff';
+  var border = '#e2e8f0';
+
+  return '' +
+    '<!doctype html>' +
+    '<html><head><meta charset="UTF-8"></head>' +
+    '<body style="margin:0;padding:0;background:' + bg + ';font-family: -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:' + text + ';">' +
+    '  <table role="presentation" cellspacing="0" cellpadding="0" border="0" align="center" width="100%" style="max-width:640px;margin:0 auto;padding:24px;">' +
+    '    <tr>' +
+    '      <td style="padding:0 0 16px 0;">' +
+    '        <h2 style="margin:0;font-size:20px;line-height:1.4;color:' + primary + ';">' + safe_(parts.heading) + '</h2>' +
+    (parts.subheading ? '        <p style="margin:6px 0 0 0;font-size:13px;color:#5e6a75;">' + safe_(parts.subheading) + '</p>' : '') +
+    '      </td>' +
+    '    </tr>' +
+    (parts.introHtml ? '    <tr><td style="padding:0 0 16px 0;font-size:14px;line-height:1.6;">' + parts.introHtml + '</td></tr>' : '') +
+    '    <tr>' +
+    '      <td style="background:' + rowBg + ';border:1px solid ' + border + ';border-radius:10px;overflow:hidden;">' +
+    '        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="border-collapse:collapse;">' +
+    parts.rowsHtml +
+    '        </table>' +
+    '      </td>' +
+    '    </tr>' +
+    (parts.footer ? '    <tr><td style="padding-top:14px;font-size:12px;color:#8a95a3;">' + safe_(parts.footer) + '</td></tr>' : '') +
+    '  </table>' +
+    '</body></html>';
 }
 
 /**
@@ -377,7 +4322,7 @@ function sendNotificationEmail(payload) {
  * @param {string} value
  * @param {boolean=} isMultiline
  */
-function emailRow(label, value, isMultiline) {
+function emailRow_(label, value, isMultiline) {
   var border = '#e2e8f0';
   var labelStyle = 'padding:12px 14px;border-bottom:1px solid ' + border + ';font-weight:600;width:160px;vertical-align:top;background:#f9fafb;';
   var valueStyle = 'padding:12px 14px;border-bottom:1px solid ' + border + ';';
@@ -386,19 +4331,19 @@ function emailRow(label, value, isMultiline) {
     v = '<div style="white-space:pre-wrap;line-height:1.6;">' + v + '</div>';
   }
   return '<tr>' +
-         '  <td style="' + labelStyle + '">' + escapeHtml(label) + '</td>' +
+         '  <td style="' + labelStyle + '">' + escapeHtml_(label) + '</td>' +
          '  <td style="' + valueStyle + '">' + v + '</td>' +
          '</tr>';
 }
 
 /** Sanitize printable values for HTML body */
-function safe(s) {
+function safe_(s) {
   if (!s) return '';
-  return escapeHtml(String(s));
+  return escapeHtml_(String(s));
 }
 
 /** Minimal HTML escape */
-function escapeHtml(str) {
+function escapeHtml_(str) {
   return str
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
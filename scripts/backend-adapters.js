@@ -0,0 +1,267 @@
+/**
+ * Backend Adapters
+ * Describe how FormHandler talks to a backend: how a request is built, how a
+ * response becomes a result body and which failures are worth retrying
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Adapter interface:
+ *   transports      - Transports the backend supports, in default order
+ *                     ('cors', 'iframe', 'no-cors', 'beacon'; see FormHandler.sendSubmission)
+ *   features        - Backend extras: { formToken, proofOfWork, statusPolling }
+ *   buildRequest(formData, config)  → { url, headers, body }
+ *   parseResponse(response)         → Promise<{ status, message, code?, fields?, reference? }>
+ *                                     (throws for responses that are not a result)
+ *   classifyError(error)            → { retryable, message, hints? }
+ *
+ * Select one with AppConfig.backend.adapter; add your own with BackendAdapters.register().
+ */
+
+const BackendAdapters = {
+  /**
+   * Look up an adapter by name
+   * @param {string} name - Adapter name
+   * @returns {Object} - Adapter (falls back to appsScript for unknown names)
+   */
+  get(name) {
+    const adapter = BackendAdapters.registry[name];
+    if (!adapter) {
+      console.warn(`Unknown backend adapter "${name}", using appsScript`);
+      return BackendAdapters.registry.appsScript;
+    }
+    return adapter;
+  },
+
+  /**
+   * Add or replace an adapter
+   * @param {string} name - Adapter name
+   * @param {Object} adapter - Object implementing the adapter interface
+   */
+  register(name, adapter) {
+    BackendAdapters.registry[name] = adapter;
+  },
+
+  /**
+   * Error for a non-2xx response
+   * @param {number} status - HTTP status
+   * @returns {Error}
+   */
+  httpError(status) {
+    const error = new Error(`HTTP error! status: ${status}`);
+    error.status = status;
+    return error;
+  },
+
+  /**
+   * Parse a Retry-After header (delay in seconds, or an HTTP date)
+   * @param {string|null} value
+   * @returns {number} - Seconds to wait (0 if missing or invalid)
+   */
+  parseRetryAfter(value) {
+    if (!value) return 0;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  },
+
+  /**
+   * Classification shared by the fetch-based adapters
+   * @param {Error} error
+   * @returns {{retryable:boolean, message:string}}
+   */
+  classifyFetchError(error) {
+    if (error.name === 'AbortError') {
+      return { retryable: false, message: 'Request timed out. Please try again.' };
+    }
+    if (typeof error.status === 'number') {
+      // Server errors and throttling may pass; other client errors won't
+      const retryable = error.status >= 500 || error.status === 408 || error.status === 429;
+      return { retryable, message: 'The server could not process your request. Please try again later.' };
+    }
+    if (error.message && error.message.includes('network')) {
+      return { retryable: true, message: 'Unable to connect to the server. Please check your internet connection and try again.' };
+    }
+    return { retryable: true, message: 'Network error. Please check your connection and try again.' };
+  },
+
+  registry: {}
+};
+
+/**
+ * Google Apps Script Web App (GoogleScript/Code.gs)
+ * form-urlencoded avoids the CORS preflight Apps Script can't answer; responses
+ * may arrive as JSON or text; unreadable (no-cors) results are resolved with
+ * the status endpoint
+ */
+BackendAdapters.register('appsScript', {
+  transports: ['cors', 'iframe', 'no-cors'],
+  features: { formToken: true, proofOfWork: true, statusPolling: true },
+
+  buildRequest(formData, config) {
+    if (config.requestFormat === 'form-urlencoded') {
+      // Using URLSearchParams directly lets the browser set Content-Type automatically (no preflight)
+      const body = new URLSearchParams();
+      Object.keys(formData).forEach(key => {
+        const value = formData[key];
+        if (value !== null && value !== undefined) {
+          body.append(key, String(value));
+        }
+      });
+      return { url: config.apiEndpoint, headers: {}, body };
+    }
+    return {
+      url: config.apiEndpoint,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formData)
+    };
+  },
+
+  async parseResponse(response) {
+    if (!response.ok) {
+      throw BackendAdapters.httpError(response.status);
+    }
+
+    // Parse response - Google Apps Script may return text or JSON
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      return response.json();
+    }
+
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // If not JSON, treat as success message
+      return { status: 'success', message: text || 'Thank you! Your message has been sent successfully.' };
+    }
+  },
+
+  classifyError(error) {
+    if (error.message && (error.message.includes('CORS') || error.message.includes('Failed to fetch'))) {
+      const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+      return {
+        retryable: true,
+        message: 'Connection issue detected. Please ensure the Google Apps Script Web App is deployed correctly.' +
+          (isLocalhost ? ' (Localhost: Check Google Apps Script deployment settings)' : ''),
+        hints: isLocalhost
+          ? [
+              'Development Note:',
+              '1. Google Apps Script Web Apps must be deployed with "Anyone" access',
+              '2. Ensure you\'re using the /exec endpoint (not /dev)',
+              '3. The Web App must be deployed, not just saved',
+              '4. CORS issues from localhost are common - test on a deployed domain'
+            ]
+          : ['Production Note: Verify Google Apps Script Web App deployment settings.']
+      };
+    }
+    return BackendAdapters.classifyFetchError(error);
+  }
+});
+
+/**
+ * Plain JSON REST API
+ * POSTs JSON with an Idempotency-Key header (the submission ID). Expects the
+ * result body on 2xx; 4xx JSON bodies are reported as errors
+ * ({ code, message, fields } or { message, errors }), 429 as RATE_LIMITED with
+ * the Retry-After header as retryAfter, 5xx responses are retried
+ */
+BackendAdapters.register('jsonRest', {
+  transports: ['cors'],
+  features: { formToken: false, proofOfWork: false, statusPolling: false },
+
+  buildRequest(formData, config) {
+    const backend = config.backend || {};
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...(backend.headers || {})
+    };
+    if (formData.submissionId) {
+      headers['Idempotency-Key'] = formData.submissionId;
+    }
+    return { url: config.apiEndpoint, headers, body: JSON.stringify(formData) };
+  },
+
+  async parseResponse(response) {
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch (e) {
+      body = null;
+    }
+
+    if (response.ok) {
+      const data = body || {};
+      return {
+        ...data,
+        status: data.status === 'error' ? 'error' : 'success',
+        message: data.message || 'Thank you! Your message has been sent successfully.',
+        reference: data.reference || data.id || undefined
+      };
+    }
+
+    const codes = FormContract.errorCodes;
+    if (response.status === 429) {
+      const data = body || {};
+      return {
+        status: 'error',
+        code: codes.RATE_LIMITED,
+        message: data.message || 'Too many submissions. Please try again later.',
+        retryAfter: BackendAdapters.parseRetryAfter(response.headers.get('Retry-After')) || Number(data.retryAfter) || 0
+      };
+    }
+
+    const isClientError = response.status >= 400 && response.status < 500 && response.status !== 408;
+    if (!isClientError || !body) {
+      throw BackendAdapters.httpError(response.status);
+    }
+
+    const fields = body.fields || body.errors || null;
+    return {
+      status: 'error',
+      code: body.code || (fields ? codes.VALIDATION : codes.BAD_REQUEST),
+      message: body.message || 'The request was rejected.',
+      fields: fields || undefined
+    };
+  },
+
+  classifyError(error) {
+    return BackendAdapters.classifyFetchError(error);
+  }
+});
+
+/**
+ * navigator.sendBeacon to any endpoint (e.g. a generic webhook)
+ * Fire-and-forget: the browser queues the request and delivers it even if the
+ * page closes, but no response can be read, so a queued request counts as success.
+ * Bodies use CORS-safelisted types (form-urlencoded, or JSON sent as text/plain).
+ */
+BackendAdapters.register('beacon', {
+  transports: ['beacon'],
+  features: { formToken: false, proofOfWork: false, statusPolling: false },
+
+  buildRequest(formData, config) {
+    if (config.requestFormat === 'json') {
+      return {
+        url: config.apiEndpoint,
+        headers: {},
+        body: new Blob([JSON.stringify(formData)], { type: 'text/plain;charset=UTF-8' })
+      };
+    }
+    return BackendAdapters.registry.appsScript.buildRequest(formData, { ...config, requestFormat: 'form-urlencoded' });
+  },
+
+  async parseResponse() {
+    return { status: 'success', message: 'Thank you! Your message has been sent.' };
+  },
+
+  classifyError(error) {
+    return { retryable: false, message: error.message || 'Your browser could not send the request. Please try again.' };
+  }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackendAdapters;
+}
@@ -5,41 +5,64 @@
  */
 
 const AppConfig = {
-  // Google Apps Script Web App endpoint
+  // Frontend version, stored with each submission (Form Version column)
+  formVersion: '4.7',
+
+  // Which form this page is (Form ID column). One backend can serve several
+  // forms: each ID other than 'default' must be listed in the backend's FORMS
+  // Script Property, which picks its spreadsheet tab, recipients and rules.
+  formId: 'default',
+
+  // Backend adapter (scripts/backend-adapters.js):
+  // 'appsScript' - GoogleScript/Code.gs (tokens, proof-of-work, status polling, iframe transport)
+  // 'jsonRest'   - your own JSON API (POST JSON, result body in the response)
+  // 'beacon'     - navigator.sendBeacon to any endpoint, e.g. a webhook (fire-and-forget)
+  backend: {
+    adapter: 'appsScript',
+    // jsonRest only: extra request headers (never put secrets in a public page)
+    headers: {}
+  },
+
+  // Backend endpoint (Google Apps Script Web App URL, or your API/webhook URL)
   apiEndpoint: "https://script.google.com/macros/s/AKfycbyc_oJtbz2SqsISszXVrbB2mDjyhXEYApR8edmpPekGrxokbdc55hHaR_GqC59_tJ1k/exec",
   
   // Request format: 'form-urlencoded' or 'json'
   // Using 'form-urlencoded' to avoid CORS preflight issues with Google Apps Script
   requestFormat: 'form-urlencoded',
   
+  // Transports tried in order until one gets the submission out
+  // (limited to those the backend adapter supports):
+  // 'cors'    - fetch with a readable response
+  // 'iframe'  - hidden form posted into a hidden iframe (readable via postMessage; always form-urlencoded)
+  // 'no-cors' - fetch with an unreadable response, confirmed via statusPolling
+  transports: ['cors', 'iframe', 'no-cors'],
+  
   // Request timeout in milliseconds
   requestTimeout: 30000,
   
+  // Signed form tokens (GET ?action=token) - the backend rejects submissions without one
+  formToken: {
+    enabled: true,
+    // Fetch a new token when the current one expires within this margin (ms)
+    refreshMarginMs: 60000
+  },
+  
+  // Proof-of-work bot defence (GET ?action=challenge, solved in a Web Worker)
+  // Enable together with the POW_ENABLED Script Property
+  pow: {
+    enabled: false,
+    workerUrl: 'scripts/pow-worker.js?v=1.1',
+    // Fetch a new challenge when the solved one expires within this margin (ms)
+    refreshMarginMs: 60000
+  },
+  
   // Button re-enable delay after submission (ms)
   buttonReenableDelay: 1500,
   
-  // Form validation settings
-  validation: {
-    name: {
-      minLength: 2,
-      maxLength: 100,
-      pattern: /^[a-zA-Z\s'-]+$/ // Letters, spaces, hyphens, apostrophes
-    },
-    phone: {
-      // Allow international formats with +, spaces, dashes, dots, parentheses
-      // We'll additionally enforce digit count in validator (7-15 digits)
-      allowedPattern: /^[0-9+()\-\.\s]+$/,
-      minDigits: 7,
-      maxDigits: 15
-    },
-    email: {
-      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ // Basic email pattern
-    },
-    message: {
-      minLength: 10,
-      maxLength: 2000
-    }
-  },
+  // Form field schema
+  // Defined in scripts/form-contract.js so the Apps Script backend enforces the same rules.
+  // The server only accepts these fields; a form's own rules go in FIELDS of the FORMS Script Property.
+  fields: FormContract.fields,
   
   // Animation durations
   animation: {
@@ -62,6 +85,27 @@ const AppConfig = {
     maxDelayMs: 4000
   },
 
+  // Confirmation polling after the no-cors fallback (GET ?action=status&id=...)
+  statusPolling: {
+    enabled: true,
+    initialDelayMs: 1500,
+    backoffFactor: 1.6,
+    maxDelayMs: 10000,
+    maxDurationMs: 60000 // Give up (keep the "pending" message) after this long
+  },
+
+  // Offline outbox (scripts/submission-outbox.js): submissions that fail with a network
+  // error are kept in IndexedDB and re-sent, with the same submission ID, on the
+  // `online` event, on the next page load, or by the service worker (Background Sync)
+  outbox: {
+    enabled: true,
+    dbName: 'eopeak-form-outbox',
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000, // Drop entries not sent within a week
+    // Sends the queue after the tab is closed; null to disable
+    serviceWorkerUrl: 'scripts/outbox-worker.js?v=1.5',
+    syncTag: 'form-outbox'
+  },
+
   // Form state persistence
   persistence: {
     enabled: true,
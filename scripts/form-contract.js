@@ -0,0 +1,220 @@
+/**
+ * Form Contract
+ * Definitions shared by the browser and the Google Apps Script backend:
+ * error codes, the field schema and the rule engine that validates it
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Browser: loaded before config.js (see index.html).
+ * Apps Script: add this file to the script project as "FormContract"
+ * (File → New → Script) so Code.gs sees the same values.
+ * Keep it ES5 so both runtimes can load it unchanged.
+ */
+
+var FormContract = {
+  // Machine-readable error codes returned as `code` in error responses:
+  // { status: 'error', code: 'VALIDATION', message: '...', fields: { email: '...' } }
+  // Values are stable - clients may branch on them.
+  errorCodes: {
+    VALIDATION: 'VALIDATION',               // One or more fields are invalid; see `fields`
+    SPAM_DETECTED: 'SPAM_DETECTED',         // Anti-bot checks rejected the submission
+    RATE_LIMITED: 'RATE_LIMITED',           // Too many submissions; try again later
+    BAD_REQUEST: 'BAD_REQUEST',             // Payload could not be parsed
+    INVALID_TOKEN: 'INVALID_TOKEN',         // Form token missing, expired or already used; fetch a new one
+    INVALID_CHALLENGE: 'INVALID_CHALLENGE', // Proof-of-work solution missing, wrong or expired
+    UNAUTHORIZED: 'UNAUTHORIZED',           // Missing or wrong API key (?action=export)
+    UNKNOWN_FORM: 'UNKNOWN_FORM',           // formId is not configured on the server (FORMS)
+    SERVER_ERROR: 'SERVER_ERROR'            // Unexpected failure on the server
+  },
+
+  // Form field schema
+  // Single source of truth for rendering, validation (client and server), draft persistence
+  // and the submission payload.
+  // Supported types: text, tel, email, textarea, select, radio, checkbox
+  // (select/radio take `options`: ['A', 'B'] or [{ value: 'a', label: 'A' }]).
+  // `header` is an optional short title for the sheet column and emails (defaults to label).
+  // Message templates may reference rule values, e.g. {minLength} or {maxDigits}.
+  fields: [
+    {
+      id: 'name',
+      type: 'text',
+      label: 'Name',
+      placeholder: 'Enter your full name',
+      autocomplete: 'name',
+      required: true,
+      rules: {
+        minLength: 2,
+        maxLength: 100,
+        pattern: /^[a-zA-Z\s'-]+$/ // Letters, spaces, hyphens, apostrophes
+      },
+      messages: {
+        required: 'Name is required',
+        minLength: 'Name must be at least {minLength} characters',
+        maxLength: 'Name must not exceed {maxLength} characters',
+        pattern: 'Name can only contain letters, spaces, hyphens, and apostrophes'
+      }
+    },
+    {
+      id: 'phone',
+      type: 'tel',
+      label: 'Phone Number',
+      placeholder: 'Enter your phone number',
+      autocomplete: 'tel',
+      inputmode: 'tel',
+      required: true,
+      rules: {
+        // Allow international formats with +, spaces, dashes, dots, parentheses
+        pattern: /^[0-9+()\-\.\s]+$/,
+        minDigits: 7,
+        maxDigits: 15
+      },
+      messages: {
+        required: 'Phone number is required',
+        pattern: 'Phone can include digits, +, spaces, -, . and ()',
+        digits: 'Phone must have {minDigits}-{maxDigits} digits'
+      }
+    },
+    {
+      id: 'email',
+      type: 'email',
+      label: 'Email',
+      placeholder: 'Enter your email address',
+      autocomplete: 'email',
+      required: true,
+      rules: {
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ // Basic email pattern
+      },
+      messages: {
+        required: 'Email is required',
+        pattern: 'Please enter a valid email address',
+        format: 'Please enter a valid email address'
+      }
+    },
+    {
+      id: 'message',
+      type: 'textarea',
+      label: 'Message',
+      placeholder: 'Describe your business and the design style you\'re looking for.',
+      autocomplete: 'off',
+      rows: 5,
+      required: true,
+      rules: {
+        minLength: 10,
+        maxLength: 2000
+      },
+      messages: {
+        required: 'Message is required',
+        minLength: 'Message must be at least {minLength} characters',
+        maxLength: 'Message must not exceed {maxLength} characters'
+      }
+    },
+    {
+      // Consent to storing the request (GDPR). Change `version` whenever the label
+      // text changes: each submission stores the version its sender accepted
+      // (Consent Version column), and the backend only accepts its own copy's.
+      id: 'consent',
+      type: 'checkbox',
+      label: 'I agree that my details are stored to answer my request. I can ask for them to be deleted at any time.',
+      header: 'Consent',
+      version: '2026-10-19',
+      required: true,
+      messages: {
+        required: 'Please accept so we can store your request',
+        version: 'Please reload the page and accept the current privacy terms'
+      }
+    }
+  ],
+
+  /**
+   * Build an error message from the field's message templates
+   * Templates may reference rule values, e.g. "at least {minLength} characters"
+   * @param {Object} field - Field definition
+   * @param {string} key - Message key (required, minLength, pattern, ...)
+   * @returns {string} - Formatted message
+   */
+  formatMessage: function (field, key) {
+    var messages = field.messages || {};
+    var rules = field.rules || {};
+    var template = messages[key] || messages.invalid || 'Please enter a valid value';
+    return template.replace(/\{(\w+)\}/g, function (match, name) {
+      return Object.prototype.hasOwnProperty.call(rules, name) ? String(rules[name]) : match;
+    });
+  },
+
+  /**
+   * Run a field's rules against a (sanitized, trimmed) value
+   * @param {Object} field - Field definition
+   * @param {string} value - Value to check
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateField: function (field, value) {
+    var rules = field.rules || {};
+    value = value === null || value === undefined ? '' : String(value);
+
+    // Required / empty handling
+    if (!value) {
+      return field.required ? FormContract.formatMessage(field, 'required') : null;
+    }
+
+    // Length checks
+    if (typeof rules.minLength === 'number' && value.length < rules.minLength) {
+      return FormContract.formatMessage(field, 'minLength');
+    }
+    if (typeof rules.maxLength === 'number' && value.length > rules.maxLength) {
+      return FormContract.formatMessage(field, 'maxLength');
+    }
+
+    // Pattern check
+    if (rules.pattern && typeof rules.pattern.test === 'function' && !rules.pattern.test(value)) {
+      return FormContract.formatMessage(field, 'pattern');
+    }
+
+    // Digit count check (strip non-digits)
+    if (typeof rules.minDigits === 'number' || typeof rules.maxDigits === 'number') {
+      var digits = value.replace(/\D+/g, '').length;
+      if ((typeof rules.minDigits === 'number' && digits < rules.minDigits) ||
+          (typeof rules.maxDigits === 'number' && digits > rules.maxDigits)) {
+        return FormContract.formatMessage(field, 'digits');
+      }
+    }
+
+    // Type-specific checks (common email typos)
+    if (field.type === 'email' &&
+        (value.indexOf('..') !== -1 || value.charAt(0) === '.' || value.charAt(0) === '@')) {
+      return FormContract.formatMessage(field, 'format');
+    }
+
+    // Select/radio values must be one of the configured options
+    if (Array.isArray(field.options) && field.options.length > 0) {
+      var allowed = field.options.map(function (option) {
+        return typeof option === 'object' && option !== null ? String(option.value) : String(option);
+      });
+      if (allowed.indexOf(value) === -1) {
+        return FormContract.formatMessage(field, 'options');
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Validate a set of values against a field list
+   * @param {Array<Object>} fields - Field definitions
+   * @param {Object} values - Map of field id to value
+   * @returns {Object} - Map of field id to error message (empty when valid)
+   */
+  validateValues: function (fields, values) {
+    var errors = {};
+    fields.forEach(function (field) {
+      var error = FormContract.validateField(field, values[field.id]);
+      if (error) {
+        errors[field.id] = error;
+      }
+    });
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormContract;
+}
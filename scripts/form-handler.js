@@ -11,7 +11,21 @@ class FormHandler {
     this.isSubmitting = false;
     this.messageTimeout = null; // Track message auto-dismiss timeout
     this.lastSubmittedData = null; // Store last submitted data for iframe notifications
+    this.submissionKey = null; // Idempotency key awaiting a definitive answer: { id, fingerprint }
     this.persistDebounceId = null; // Debounce timer for draft save
+    this.adapter = BackendAdapters.get((config.backend && config.backend.adapter) || 'appsScript'); // See backend-adapters.js
+    this.formToken = null; // Signed token from the backend: { value, expiresAt }
+    this.formTokenRequest = null; // In-flight token fetch shared by concurrent callers
+    this.powSolver = (config.pow && config.pow.enabled && this.adapter.features.proofOfWork && typeof PowSolver !== 'undefined')
+      ? new PowSolver(config)
+      : null; // Proof-of-work challenge solver (optional)
+    this.outbox = (config.outbox && config.outbox.enabled && typeof SubmissionOutbox !== 'undefined' && SubmissionOutbox.isSupported())
+      ? new SubmissionOutbox(config.outbox)
+      : null; // Offline queue (optional)
+    this.outboxWorker = null; // Promise<ServiceWorkerRegistration|null> used for Background Sync
+    this.outboxReported = new Set(); // Queued submission IDs already reported (page and worker may both send one)
+    this.rateLimitUntil = 0; // End of the server's retryAfter window (ms timestamp)
+    this.rateLimitTimer = null; // Countdown interval
     this.init();
   }
 
@@ -31,6 +45,25 @@ class FormHandler {
     // Set up keyboard shortcuts
     this.setupKeyboardShortcuts();
 
+    // Fetch a form token up front so submitting doesn't wait for it
+    if (this.isFormTokenEnabled()) {
+      this.refreshFormToken().catch(err => console.warn('Form token prefetch failed:', err));
+    }
+
+    // Solve the proof-of-work challenge in the background once the visitor starts filling in the form
+    if (this.powSolver) {
+      const startPow = () => this.powSolver.start();
+      form.addEventListener('focusin', startPow);
+      form.addEventListener('input', startPow);
+    }
+
+    // Offline outbox: send queued submissions now and whenever the browser reconnects
+    if (this.outbox) {
+      this.registerOutboxWorker();
+      window.addEventListener('online', () => this.flushOutbox());
+      this.flushOutbox();
+    }
+
     // Draft persistence: restore on load and persist on input
     if (this.config.persistence && this.config.persistence.enabled) {
       this.restoreDraft();
@@ -54,6 +87,11 @@ class FormHandler {
       return;
     }
 
+    // The server asked us to wait (the countdown is showing)
+    if (this.isRateLimited()) {
+      return;
+    }
+
     // Validate form before submission
     if (!this.validator.validateForm()) {
       this.showMessage('Please correct the errors before submitting', 'error');
@@ -80,10 +118,8 @@ class FormHandler {
     if (!form) return null;
 
     return {
-      name: this.validator.sanitizeInput(form.name.value.trim()),
-      phone: this.validator.sanitizeInput(form.phone.value.trim()),
-      email: this.validator.sanitizeInput(form.email.value.trim()),
-      message: this.validator.sanitizeInput(form.message.value.trim()),
+      // Schema fields (name, phone, email, message, ...)
+      ...this.validator.getValues(),
       // Anti-bot & telemetry fields (non-PII tokens)
       honeypot: (form.company && typeof form.company.value === 'string') ? form.company.value : '',
       pageLoadTs: (typeof window.__FORM_PAGELOAD_TS__ === 'number') ? window.__FORM_PAGELOAD_TS__ : Date.now(),
@@ -91,33 +127,53 @@ class FormHandler {
       timestamp: new Date().toISOString(),
       userAgent: navigator.userAgent,
       viewportWidth: window.innerWidth,
-      viewportHeight: window.innerHeight
+      viewportHeight: window.innerHeight,
+      // Stable client attributes the server hashes for its per-client rate limit
+      language: navigator.language || '',
+      timeZone: this.getTimeZone(),
+      screenSize: window.screen ? `${window.screen.width}x${window.screen.height}` : '',
+      formVersion: this.config.formVersion || '',
+      formId: this.config.formId || '',
+      // Version of the consent text the visitor accepted (Consent Version column)
+      consentVersion: this.getConsentVersion(),
+      source: this.getLeadSource()
     };
   }
 
   /**
-   * Convert form data to URLSearchParams for form-urlencoded format
-   * @param {Object} data - Form data object
-   * @returns {URLSearchParams} - URL-encoded parameters
+   * Idempotency key for the current form values
+   * Kept while a submission's outcome is unknown (network error, no-cors "pending"),
+   * so sending the same values again cannot create a second row
+   * @returns {string}
    */
-  convertToFormData(data) {
-    const params = new URLSearchParams();
-    
-    // Add all fields to URLSearchParams
-    Object.keys(data).forEach(key => {
-      const value = data[key];
-      // Convert non-string values to strings
-      if (value !== null && value !== undefined) {
-        params.append(key, String(value));
-      }
-    });
-    
-    return params;
+  getSubmissionId() {
+    const fingerprint = JSON.stringify(this.validator.getValues());
+    if (!this.submissionKey || this.submissionKey.fingerprint !== fingerprint) {
+      this.submissionKey = { id: this.generateSubmissionId(), fingerprint };
+    }
+    return this.submissionKey.id;
+  }
+
+  /**
+   * Random UUID v4
+   * @returns {string}
+   */
+  generateSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
   }
 
   /**
    * Submit form to API
-   * Uses fallback mechanism: tries CORS first, falls back to no-cors with optimistic handling
+   * Uses fallback mechanism: tries the transports in AppConfig.transports order
+   * (CORS, hidden iframe, no-cors) and resolves no-cors 'pending' via the status endpoint
    * @param {Object} formData - Form data to submit
    */
   async submitForm(formData) {
@@ -129,23 +185,9 @@ class FormHandler {
     this.setLoadingState(true);
     this.showMessage('Submitting your request...', 'info');
 
-    // Client-side rate limiting (cooldown & exponential backoff)
-    const cooldownKey = 'form_submission_cooldown';
-    const attemptsKey = 'form_submission_attempts';
-    const now = Date.now();
-    try {
-      const lastTs = parseInt(localStorage.getItem(cooldownKey) || '0', 10);
-      const attempts = parseInt(localStorage.getItem(attemptsKey) || '0', 10);
-      const baseCooldown = 5000; // 5s
-      const backoff = Math.min(60000, baseCooldown * Math.pow(2, Math.max(0, attempts - 1))); // up to 60s
-      const remaining = (lastTs + backoff) - now;
-      if (remaining > 0) {
-        this.setLoadingState(false);
-        this.isSubmitting = false;
-        this.showMessage(`Please wait ${Math.ceil(remaining/1000)}s before trying again.`, 'error');
-        return;
-      }
-    } catch (_) {}
+    // Idempotency key: every retry and the no-cors fallback carry the same ID,
+    // so the backend stores the submission once
+    formData.submissionId = this.getSubmissionId();
 
     // Store submitted data for later notifications (success/error)
     this.lastSubmittedData = { ...formData };
@@ -155,131 +197,74 @@ class FormHandler {
     }
 
     try {
-      // Create abort controller for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
-
-      // Prepare request based on configured format
-      let requestBody;
-      let requestHeaders = {};
-
-      if (this.config.requestFormat === 'form-urlencoded') {
-        // Use form-urlencoded format to avoid CORS preflight issues
-        // Google Apps Script Web Apps handle form-urlencoded natively without CORS preflight
-        // Using URLSearchParams directly lets the browser set Content-Type automatically (no preflight)
-        requestBody = this.convertToFormData(formData);
-        // Don't set Content-Type header - browser will set it automatically with URLSearchParams
-        // This avoids CORS preflight requests
-      } else {
-        // Fallback to JSON format
-        requestBody = JSON.stringify(formData);
-        requestHeaders['Content-Type'] = 'application/json';
+      // Known to be offline: queue straight away instead of waiting for every transport to fail
+      if (navigator.onLine === false && await this.queueSubmission(formData)) {
+        return;
       }
 
-      // Try CORS mode first (allows reading response)
-      let response;
-      let result;
-      let corsSucceeded = false;
+      // Attach a signed form token (fetched at load, refreshed when close to expiry)
+      if (this.isFormTokenEnabled()) {
+        formData.formToken = await this.getFormToken();
+      }
 
-      try {
-        response = await this.retryCorsRequest({
-          url: this.config.apiEndpoint,
-          options: {
-            method: 'POST',
-            headers: requestHeaders,
-            body: requestBody,
-            signal: controller.signal,
-            mode: 'cors',
-            credentials: 'omit'
-          }
+      // Attach the proof-of-work solution (usually ready by now; otherwise show progress)
+      if (this.powSolver) {
+        const pow = await this.powSolver.getSolution(percent => {
+          this.showMessage(`Verifying your browser... ${percent}%`, 'info');
         });
+        formData.powChallenge = pow.challenge;
+        formData.powSolution = pow.solution;
+        this.showMessage('Submitting your request...', 'info');
+      }
 
-        clearTimeout(timeoutId);
-
-        // Check response status
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        // Parse response - Google Apps Script may return text or JSON
-        const responseContentType = response.headers.get('content-type');
-        
-        if (responseContentType && responseContentType.includes('application/json')) {
-          result = await response.json();
-        } else {
-          // Handle text response and try to parse as JSON
-          const text = await response.text();
-          try {
-            result = JSON.parse(text);
-          } catch (e) {
-            // If not JSON, treat as success message
-            result = { status: 'success', message: text || 'Thank you! Your message has been sent successfully.' };
-          }
-        }
-
-        corsSucceeded = true;
-      } catch (corsError) {
-        // CORS failed - this is common with Google Apps Script Web Apps
-        // Fallback to no-cors (cannot read response), avoid false success.
-        clearTimeout(timeoutId);
-        
-        // Create new abort controller for no-cors request
-        const noCorsController = new AbortController();
-        const noCorsTimeoutId = setTimeout(() => noCorsController.abort(), this.config.requestTimeout);
-
-        try {
-          // Submit with no-cors mode (can't read response, but request goes through)
-          await fetch(this.config.apiEndpoint, {
-            method: 'POST',
-            headers: requestHeaders,
-            body: requestBody,
-            signal: noCorsController.signal,
-            mode: 'no-cors', // This bypasses CORS but we can't read the response
-            credentials: 'omit'
-          });
-
-          clearTimeout(noCorsTimeoutId);
-
-          // We cannot read the response in no-cors mode. Report pending.
-          result = {
-            status: 'pending',
-            message: 'Submitted. Awaiting confirmation...'
-          };
+      // Send through the configured transports (AppConfig.transports) in order
+      let result = await this.sendSubmission(formData);
 
-        } catch (noCorsError) {
-          // Even no-cors failed - this indicates a network issue
-          throw new Error('Network request failed. Please check your connection.');
-        }
+      // no-cors: ask the backend what happened to this submission ID
+      if (result.status === 'pending') {
+        this.showMessage(result.message || 'Submitted. Awaiting confirmation...', 'info');
+        this.trackEvent('form_submission', 'pending');
+        result = await this.pollSubmissionStatus(formData.submissionId);
       }
 
-      // Handle response (from CORS or optimistic from no-cors)
+      // Handle response (from CORS or the status endpoint)
       if (result.status === 'success') {
-        this.handleSuccess(result.message || 'Thank you! Your message has been sent successfully.');
-        // Reset attempts on success
-        try {
-          localStorage.setItem('form_submission_attempts', '0');
-          localStorage.setItem('form_submission_cooldown', String(Date.now()));
-        } catch (_) {}
+        const successMessage = result.message || 'Thank you! Your message has been sent successfully.';
+        this.handleSuccess(result.reference ? `${successMessage} Reference: ${result.reference}` : successMessage);
+        this.submissionKey = null;
+        // The token and challenge are single use
+        this.discardFormToken();
+        if (this.powSolver) this.powSolver.reset();
       } else if (result.status === 'pending') {
-        this.showMessage(result.message || 'Submitted. Awaiting confirmation...', 'info');
-        this.trackEvent('form_submission', 'pending');
+        // Still unconfirmed - keep the draft and submission ID so re-sending can't duplicate it
+        this.showMessage(result.message, 'info');
+        this.trackEvent('form_submission', 'unconfirmed');
+        // The server may have consumed the token and challenge
+        this.discardFormToken();
+        if (this.powSolver) this.powSolver.reset();
       } else {
-        this.handleError(result.message || 'An error occurred. Please try again.');
-        // Increase attempts and set cooldown
-        try {
-          const attempts = parseInt(localStorage.getItem('form_submission_attempts') || '0', 10) + 1;
-          localStorage.setItem('form_submission_attempts', String(attempts));
-          localStorage.setItem('form_submission_cooldown', String(Date.now()));
-        } catch (_) {}
+        this.handleError(result.message || 'An error occurred. Please try again.', result);
+        // Nothing was stored - a corrected submission gets a new ID
+        this.submissionKey = null;
+        if (result.code === FormContract.errorCodes.INVALID_TOKEN) {
+          this.discardFormToken();
+        }
+        if (result.code === FormContract.errorCodes.INVALID_CHALLENGE && this.powSolver) {
+          this.powSolver.reset();
+          this.powSolver.start();
+        }
+        // Rate limits are decided by the server; count down its retryAfter
+        if (result.code === FormContract.errorCodes.RATE_LIMITED && Number(result.retryAfter) > 0) {
+          this.startRateLimitCountdown(Number(result.retryAfter));
+        }
       }
 
     } catch (error) {
-      this.handleNetworkError(error);
-      try {
-        const attempts = parseInt(localStorage.getItem('form_submission_attempts') || '0', 10) + 1;
-        localStorage.setItem('form_submission_attempts', String(attempts));
-        localStorage.setItem('form_submission_cooldown', String(Date.now()));
-      } catch (_) {}
+      // The submission never reached the backend: keep it and send it when the browser reconnects
+      const queued = this.isOfflineError(error) && await this.queueSubmission(formData);
+      if (!queued) {
+        this.handleNetworkError(error);
+      }
     } finally {
       // Reset UI state
       this.setLoadingState(false);
@@ -287,7 +272,7 @@ class FormHandler {
 
       // Re-enable button after delay
       setTimeout(() => {
-        if (submitBtn) {
+        if (submitBtn && !this.isRateLimited()) {
           submitBtn.disabled = false;
         }
       }, this.config.buttonReenableDelay);
@@ -334,7 +319,7 @@ class FormHandler {
 
     setTimeout(() => {
       // Reset all validation states
-      const inputs = form.querySelectorAll('.form-input, .form-textarea');
+      const inputs = form.querySelectorAll('.form-input, .form-textarea, .form-choice-group, .form-checkbox');
       inputs.forEach(input => {
         input.classList.remove('success', 'error');
         const wrapper = input.closest('.field-wrapper');
@@ -344,7 +329,7 @@ class FormHandler {
       });
 
       // Focus on first field for better UX
-      const firstField = document.getElementById('name');
+      const firstField = this.getFirstField();
       if (firstField) {
         firstField.focus();
       }
@@ -357,57 +342,62 @@ class FormHandler {
   /**
    * Handle error response
    * @param {string} message - Error message
+   * @param {{code:string, fields:Object}=} details - Structured error body from the server
    */
-  handleError(message) {
+  handleError(message, details = {}) {
+    const code = details.code || FormContract.errorCodes.SERVER_ERROR;
+
     this.showMessage(`Error: ${message}`, 'error');
-    this.trackEvent('form_submission', 'error', { message });
+
+    // Route per-field errors to their inputs and focus the first one
+    if (code === FormContract.errorCodes.VALIDATION && details.fields) {
+      this.applyFieldErrors(details.fields);
+    }
+
+    this.trackEvent('form_submission', 'error', { message, code });
     // Notify parent (iframe) of error
     if (window.IframeIntegration && typeof window.IframeIntegration.notifySubmission === 'function') {
-      const payload = { message };
+      const payload = { message, code, fields: details.fields || null };
       window.IframeIntegration.notifySubmission('error', payload);
     }
   }
 
+  /**
+   * Show server-side field errors on the matching inputs
+   * @param {Object} fields - Map of field id to error message
+   * @returns {number} - Number of fields marked
+   */
+  applyFieldErrors(fields) {
+    let applied = 0;
+    Object.keys(fields || {}).forEach(fieldName => {
+      if (!this.validator.getField(fieldName)) return;
+      this.validator.setError(fieldName, String(fields[fieldName]));
+      applied += 1;
+    });
+
+    if (applied > 0) {
+      this.focusFirstError();
+    }
+    return applied;
+  }
+
   /**
    * Handle network errors
    * @param {Error} error - Error object
    */
   handleNetworkError(error) {
-    let message = 'Network error. Please check your connection and try again.';
-
-    if (error.name === 'AbortError') {
-      message = 'Request timed out. Please try again.';
-    } else if (error.message && (error.message.includes('CORS') || error.message.includes('Failed to fetch'))) {
-      // CORS-specific error handling for Google Apps Script
-      message = 'Connection issue detected. Please ensure the Google Apps Script Web App is deployed correctly.';
-      console.error('CORS or network error:', error);
-      
-      // Provide helpful debugging info
-      const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-      
-      if (isLocalhost) {
-        console.warn('Development Note:');
-        console.warn('1. Google Apps Script Web Apps must be deployed with "Anyone" access');
-        console.warn('2. Ensure you\'re using the /exec endpoint (not /dev)');
-        console.warn('3. The Web App must be deployed, not just saved');
-        console.warn('4. CORS issues from localhost are common - test on a deployed domain');
-        message += ' (Localhost: Check Google Apps Script deployment settings)';
-      } else {
-        console.warn('Production Note: Verify Google Apps Script Web App deployment settings.');
-      }
-    } else if (error.message) {
-      console.error('Form submission error:', error);
-      // Check for specific error patterns
-      if (error.message.includes('network') || error.message.includes('fetch')) {
-        message = 'Unable to connect to the server. Please check your internet connection and try again.';
-      }
-    }
+    // The adapter knows its backend's failure modes (see backend-adapters.js)
+    const { message, hints } = this.adapter.classifyError(error);
+    const isCorsError = !!(error.message && (error.message.includes('CORS') || error.message.includes('Failed to fetch')));
+
+    console.error(isCorsError ? 'CORS or network error:' : 'Form submission error:', error);
+    (hints || []).forEach(hint => console.warn(hint));
 
     this.showMessage(message, 'error');
     this.trackEvent('form_submission', 'network_error', { 
       error: error.message || error.toString(),
       errorType: error.name || 'Unknown',
-      isCorsError: error.message && (error.message.includes('CORS') || error.message.includes('Failed to fetch'))
+      isCorsError
     });
   }
 
@@ -516,7 +506,7 @@ class FormHandler {
     const submitBtn = document.getElementById('submitBtn');
     if (!submitBtn) return;
 
-    submitBtn.disabled = isLoading;
+    submitBtn.disabled = isLoading || this.isRateLimited();
 
     if (isLoading) {
       submitBtn.classList.add('loading');
@@ -527,13 +517,26 @@ class FormHandler {
     }
   }
 
+  /**
+   * Get the first schema field element
+   * @returns {HTMLElement|null}
+   */
+  getFirstField() {
+    const fields = this.validator.fields || [];
+    return fields.length ? document.getElementById(fields[0].id) : null;
+  }
+
   /**
    * Focus first field with error
    */
   focusFirstError() {
-    const firstErrorField = document.querySelector('.form-input.error, .form-textarea.error');
+    const firstErrorField = document.querySelector('.form-input.error, .form-textarea.error, .form-choice-group.error, .form-checkbox.error');
     if (firstErrorField) {
-      firstErrorField.focus();
+      // Radio groups are containers - focus their first option instead
+      const focusTarget = firstErrorField.classList.contains('form-choice-group')
+        ? firstErrorField.querySelector('input') || firstErrorField
+        : firstErrorField;
+      focusTarget.focus();
       firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
   }
@@ -566,9 +569,261 @@ class FormHandler {
     }
   }
 
+  /**
+   * Send the submission through the configured transports in order
+   * The first transport that gets the request out provides the result
+   * - cors: fetch with a readable response (retried with backoff)
+   * - iframe: hidden form posted into a hidden iframe; doPostHtml_ postMessages the result
+   * - no-cors: fetch with an unreadable response; reports 'pending'
+   * - beacon: navigator.sendBeacon (fire-and-forget)
+   * @param {Object} formData - Form data to submit
+   * @returns {Promise<Object>} - Response body
+   */
+  async sendSubmission(formData) {
+    const transports = this.getTransports();
+    let lastError = null;
+
+    for (const transport of transports) {
+      try {
+        switch (transport) {
+          case 'cors':
+            return await this.sendViaCors(formData);
+          case 'iframe':
+            return await this.sendViaIframe(formData);
+          case 'no-cors':
+            return await this.sendViaNoCors(formData);
+          case 'beacon':
+            return await this.sendViaBeacon(formData);
+          default:
+            console.warn(`Unknown transport "${transport}" skipped`);
+        }
+      } catch (error) {
+        // CORS failures are common with Google Apps Script Web Apps - try the next transport
+        console.warn(`Transport "${transport}" failed:`, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('No usable transport configured');
+  }
+
+  /**
+   * Transports to try: AppConfig.transports limited to those the adapter supports,
+   * or the adapter's own order if none of them are
+   * @returns {Array<string>}
+   */
+  getTransports() {
+    const supported = this.adapter.transports;
+    const configured = Array.isArray(this.config.transports)
+      ? this.config.transports.filter(transport => supported.includes(transport))
+      : [];
+    return configured.length > 0 ? configured : supported;
+  }
+
+  /**
+   * CORS transport: readable response
+   * @param {Object} formData - Form data to submit
+   * @returns {Promise<Object>} - Response body
+   */
+  async sendViaCors(formData) {
+    // Create abort controller for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+    const { url, headers, body } = this.adapter.buildRequest(formData, this.config);
+
+    try {
+      return await this.retryCorsRequest({
+        url,
+        options: {
+          method: 'POST',
+          headers,
+          body,
+          signal: controller.signal,
+          mode: 'cors',
+          credentials: 'omit'
+        }
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Hidden-iframe transport: posts a hidden form into a hidden iframe
+   * The backend (doPost with transport=iframe → doPostHtml_) answers with a page
+   * that postMessages { source: 'eopeak-form', type: 'FORM_RESULT', requestId, result }
+   * @param {Object} formData - Form data to submit
+   * @returns {Promise<Object>} - Response body
+   */
+  sendViaIframe(formData) {
+    return new Promise((resolve, reject) => {
+      const name = `formTransport-${formData.submissionId || Date.now()}`;
+
+      const iframe = document.createElement('iframe');
+      iframe.name = name;
+      iframe.title = 'Form submission';
+      iframe.hidden = true;
+      iframe.tabIndex = -1;
+      iframe.setAttribute('aria-hidden', 'true');
+
+      const form = document.createElement('form');
+      form.method = 'POST';
+      form.action = this.config.apiEndpoint;
+      form.target = name;
+      form.hidden = true;
+
+      const fields = { ...formData, transport: 'iframe' };
+      Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        if (value === null || value === undefined) return;
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = key;
+        input.value = String(value);
+        form.appendChild(input);
+      });
+
+      let timeoutId = null;
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        window.removeEventListener('message', onMessage);
+        form.remove();
+        // Let the iframe finish any pending navigation before removing it
+        setTimeout(() => iframe.remove(), 0);
+      };
+
+      const onMessage = (event) => {
+        if (!this.isBackendOrigin(event.origin)) return;
+        const data = event.data;
+        if (!data || data.source !== 'eopeak-form' || data.type !== 'FORM_RESULT') return;
+        if (formData.submissionId && data.requestId !== formData.submissionId) return;
+        cleanup();
+        resolve(data.result || { status: 'error', message: 'Empty response' });
+      };
+
+      window.addEventListener('message', onMessage);
+      timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error('Iframe transport timed out'));
+      }, this.config.requestTimeout);
+
+      document.body.appendChild(iframe);
+      document.body.appendChild(form);
+      form.submit();
+    });
+  }
+
+  /**
+   * Whether a postMessage origin belongs to the Apps Script backend
+   * (HtmlService pages are served from *.googleusercontent.com)
+   * @param {string} origin
+   * @returns {boolean}
+   */
+  isBackendOrigin(origin) {
+    return origin === 'https://script.google.com' ||
+      /^https:\/\/[a-z0-9-]+\.googleusercontent\.com$/.test(origin);
+  }
+
+  /**
+   * no-cors transport: the request goes through but the response is unreadable
+   * @param {Object} formData - Form data to submit
+   * @returns {Promise<Object>} - A 'pending' body (resolved via the status endpoint)
+   */
+  async sendViaNoCors(formData) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.requestTimeout);
+    const { url, headers, body } = this.adapter.buildRequest(formData, this.config);
+
+    try {
+      // Submit with no-cors mode (can't read response, but request goes through)
+      await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+        mode: 'no-cors', // This bypasses CORS but we can't read the response
+        credentials: 'omit'
+      });
+    } catch (noCorsError) {
+      // Even no-cors failed - this indicates a network issue
+      throw new Error('Network request failed. Please check your connection.');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    // We cannot read the response in no-cors mode. Report pending.
+    return {
+      status: 'pending',
+      message: 'Submitted. Awaiting confirmation...'
+    };
+  }
+
+  /**
+   * Beacon transport: the browser queues the request and delivers it in the background
+   * @param {Object} formData - Form data to submit
+   * @returns {Promise<Object>} - Result from the adapter (no response is readable)
+   */
+  async sendViaBeacon(formData) {
+    if (typeof navigator.sendBeacon !== 'function') {
+      throw new Error('sendBeacon is not supported in this browser');
+    }
+    const { url, body } = this.adapter.buildRequest(formData, this.config);
+    if (!navigator.sendBeacon(url, body)) {
+      throw new Error('Your browser could not queue the request. Please try again.');
+    }
+    return this.adapter.parseResponse(null);
+  }
+
+  /**
+   * Poll the status endpoint until the submission's outcome is known
+   * @param {string} submissionId - Idempotency key sent with the submission
+   * @returns {Promise<Object>} - Success/error body, or a 'pending' body if still unknown
+   */
+  async pollSubmissionStatus(submissionId) {
+    const unconfirmed = {
+      status: 'pending',
+      message: 'Your request was sent but could not be confirmed yet. If you don\'t hear from us, please submit it again.'
+    };
+    const policy = this.config.statusPolling;
+    if (!policy || !policy.enabled || !this.adapter.features.statusPolling || !submissionId) {
+      return unconfirmed;
+    }
+
+    const deadline = Date.now() + (policy.maxDurationMs || 60000);
+    let delay = policy.initialDelayMs || 1500;
+    while (Date.now() + delay <= deadline) {
+      await this.sleep(delay);
+      try {
+        const result = await this.fetchSubmissionStatus(submissionId);
+        if (result.status !== 'pending') {
+          return result;
+        }
+      } catch (err) {
+        console.warn('Status check failed:', err);
+      }
+      delay = Math.min(delay * (policy.backoffFactor || 2), policy.maxDelayMs || delay);
+    }
+    return unconfirmed;
+  }
+
+  /**
+   * Read a submission's outcome (GET ?action=status&id=...&formId=...)
+   * @param {string} submissionId
+   * @returns {Promise<Object>} - Response body
+   */
+  async fetchSubmissionStatus(submissionId) {
+    const formId = encodeURIComponent(this.config.formId || '');
+    const url = `${this.config.apiEndpoint}?action=status&id=${encodeURIComponent(submissionId)}&formId=${formId}`;
+    const resp = await fetch(url, { method: 'GET', mode: 'cors', credentials: 'omit' });
+    if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
+    return resp.json();
+  }
+
   /**
    * Retry helper for CORS request with exponential backoff
+   * Failures the adapter classifies as not retryable (e.g. a 4xx) stop early
    * @param {{url:string, options:RequestInit}} req
+   * @returns {Promise<Object>} - Response body parsed by the adapter
    */
   async retryCorsRequest(req) {
     const policy = this.config.retry || { maxAttempts: 3, initialDelayMs: 600, backoffFactor: 2, maxDelayMs: 4000 };
@@ -578,12 +833,11 @@ class FormHandler {
     while (attempt < policy.maxAttempts) {
       try {
         const resp = await fetch(req.url, req.options);
-        if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
-        return resp;
+        return await this.adapter.parseResponse(resp);
       } catch (err) {
         lastError = err;
         attempt += 1;
-        if (attempt >= policy.maxAttempts) break;
+        if (attempt >= policy.maxAttempts || !this.adapter.classifyError(err).retryable) break;
         await this.sleep(Math.min(delay, policy.maxDelayMs || delay));
         delay = Math.min(delay * (policy.backoffFactor || 2), policy.maxDelayMs || delay);
       }
@@ -591,6 +845,332 @@ class FormHandler {
     throw lastError || new Error('Request failed');
   }
 
+  /** Form tokens **/
+  isFormTokenEnabled() {
+    return !!(this.config.formToken && this.config.formToken.enabled && this.adapter.features.formToken);
+  }
+
+  /**
+   * Return the current form token, fetching a new one if missing or about to expire
+   * @returns {Promise<string>}
+   */
+  async getFormToken() {
+    const margin = this.config.formToken.refreshMarginMs || 0;
+    if (this.formToken && this.formToken.expiresAt - margin > Date.now()) {
+      return this.formToken.value;
+    }
+    return this.refreshFormToken();
+  }
+
+  /**
+   * Fetch a signed form token from the backend (GET ?action=token)
+   * @returns {Promise<string>}
+   */
+  refreshFormToken() {
+    if (this.formTokenRequest) return this.formTokenRequest;
+
+    const url = `${this.config.apiEndpoint}?action=token`;
+    this.formTokenRequest = fetch(url, { method: 'GET', mode: 'cors', credentials: 'omit' })
+      .then(resp => {
+        if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
+        return resp.json();
+      })
+      .then(result => {
+        if (result.status !== 'success' || !result.token) {
+          throw new Error(result.message || 'Form token unavailable');
+        }
+        this.formToken = {
+          value: result.token,
+          expiresAt: Date.now() + (Number(result.expiresIn) || 0) * 1000
+        };
+        return result.token;
+      })
+      .finally(() => {
+        this.formTokenRequest = null;
+      });
+
+    return this.formTokenRequest;
+  }
+
+  /**
+   * Drop a used or rejected token and prefetch the next one
+   */
+  discardFormToken() {
+    this.formToken = null;
+    if (!this.isFormTokenEnabled()) return;
+    this.refreshFormToken().catch(err => console.warn('Form token prefetch failed:', err));
+  }
+
+  /** Offline outbox **/
+
+  /**
+   * Whether a failure means the submission never reached the backend
+   * (offline, connection failure) rather than a rejection or a timeout
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isOfflineError(error) {
+    if (navigator.onLine === false) return true;
+    if (error.name === 'AbortError' || typeof error.status === 'number') return false;
+    return error.name === 'TypeError' || /network/i.test(error.message || '');
+  }
+
+  /**
+   * Save a submission that could not be sent to the outbox
+   * @param {Object} formData - Form data including submissionId
+   * @returns {Promise<boolean>} - false if it could not be queued
+   */
+  async queueSubmission(formData) {
+    if (!this.outbox) return false;
+
+    // Tokens and proof-of-work solutions expire - fresh ones are attached when it is sent
+    const { formToken, powChallenge, powSolution, ...queued } = formData;
+    try {
+      await this.outbox.add(queued);
+    } catch (err) {
+      console.warn('Could not queue submission:', err);
+      return false;
+    }
+
+    const reason = navigator.onLine === false ? 'You appear to be offline.' : 'We couldn\'t reach the server.';
+    this.showMessage(`${reason} Your request has been saved and will be sent automatically when you're back online.`, 'info');
+    this.trackEvent('form_submission', 'queued');
+    this.requestOutboxSync();
+
+    // The outbox owns the submission (and its ID) now
+    this.submissionKey = null;
+    const form = document.getElementById('serviceForm');
+    if (form) {
+      form.reset();
+      this.validator.reset();
+      this.clearDraft();
+    }
+    return true;
+  }
+
+  /**
+   * Send queued submissions (on page load and when the browser reconnects)
+   */
+  async flushOutbox() {
+    if (!this.outbox) return;
+    try {
+      if (navigator.onLine === false) {
+        const waiting = await this.outbox.count();
+        if (waiting > 0) {
+          const what = waiting === 1 ? 'Your saved request' : `${waiting} saved requests`;
+          this.showMessage(`You're offline. ${what} will be sent when you're back online.`, 'info');
+        }
+        return;
+      }
+
+      const deliveries = await this.outbox.flush(entry => this.sendQueued(entry));
+      deliveries.forEach(({ entry, result }) => this.handleOutboxResult(entry.formData, result));
+    } catch (err) {
+      console.warn('Outbox flush failed:', err);
+    }
+  }
+
+  /**
+   * Send one queued submission with a fresh form token and proof-of-work solution
+   * @param {Object} entry - Outbox entry ({ id, formData, ... })
+   * @param {boolean=} isRetry - Second attempt after a rejected token/challenge
+   * @returns {Promise<Object>} - Result body ('pending' keeps it queued; throws if still unreachable)
+   */
+  async sendQueued(entry, isRetry = false) {
+    const formData = { ...entry.formData };
+    if (this.isFormTokenEnabled()) {
+      formData.formToken = await this.getFormToken();
+    }
+    if (this.powSolver) {
+      const pow = await this.powSolver.getSolution();
+      formData.powChallenge = pow.challenge;
+      formData.powSolution = pow.solution;
+    }
+
+    let result = await this.sendSubmission(formData);
+    if (result.status === 'pending') {
+      result = await this.pollSubmissionStatus(formData.submissionId);
+    }
+
+    // Used (or possibly used) - the next submission needs fresh ones
+    this.discardFormToken();
+    if (this.powSolver) this.powSolver.reset();
+
+    // A submission sent at the same time may have taken the token or challenge
+    const codes = FormContract.errorCodes;
+    if (!isRetry && (result.code === codes.INVALID_TOKEN || result.code === codes.INVALID_CHALLENGE)) {
+      return this.sendQueued(entry, true);
+    }
+    // Rate limited or the server failed (busy, lock timeout) - keep it queued for a later flush
+    if (result.code === codes.RATE_LIMITED || result.code === codes.SERVER_ERROR) {
+      return { status: 'pending', message: result.message };
+    }
+    return result;
+  }
+
+  /**
+   * Tell the visitor (and an embedding page) what happened to a queued submission
+   * @param {Object} formData - Queued form data
+   * @param {Object} result - Final result body
+   */
+  handleOutboxResult(formData, result) {
+    if (this.outboxReported.has(formData.submissionId)) return;
+    this.outboxReported.add(formData.submissionId);
+
+    const data = { name: formData.name, phone: formData.phone, email: formData.email };
+    const notify = window.IframeIntegration && typeof window.IframeIntegration.notifySubmission === 'function';
+
+    if (result.status === 'success') {
+      const message = result.reference
+        ? `Your saved request has been sent. Reference: ${result.reference}`
+        : 'Your saved request has been sent.';
+      this.showMessage(message, 'success');
+      this.trackEvent('form_submission', 'outbox_sent');
+      if (notify) window.IframeIntegration.notifySubmission('success', { message, data, queued: true });
+    } else {
+      const message = `Your saved request could not be sent: ${result.message || 'An error occurred.'}`;
+      this.showMessage(message, 'error');
+      this.trackEvent('form_submission', 'outbox_error', { code: result.code });
+      if (notify) window.IframeIntegration.notifySubmission('error', { message, code: result.code, queued: true });
+    }
+  }
+
+  /**
+   * Register the outbox service worker, which sends the queue after the tab is closed
+   * (Background Sync; elsewhere the queue is sent on the next visit)
+   */
+  registerOutboxWorker() {
+    const url = this.config.outbox.serviceWorkerUrl;
+    if (!url || !('serviceWorker' in navigator)) return;
+
+    this.outboxWorker = navigator.serviceWorker.register(url)
+      .catch(err => {
+        console.warn('Outbox service worker registration failed:', err);
+        return null;
+      });
+
+    // Results of submissions the worker sent while this page was open
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      const data = event.data;
+      if (!data || data.source !== 'eopeak-form' || data.type !== 'OUTBOX_DELIVERED') return;
+      (data.deliveries || []).forEach(delivery => this.handleOutboxResult(delivery.formData, delivery.result));
+    });
+    navigator.serviceWorker.startMessages();
+  }
+
+  /**
+   * Ask the service worker to send the queue once the browser is back online
+   */
+  async requestOutboxSync() {
+    const registration = this.outboxWorker && await this.outboxWorker;
+    if (!registration || !registration.sync) return;
+
+    try {
+      // sync.register() needs an active worker
+      const worker = registration.installing || registration.waiting;
+      if (!registration.active && worker) {
+        await new Promise(resolve => {
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'activated') resolve();
+          });
+        });
+      }
+      await registration.sync.register(this.config.outbox.syncTag || 'form-outbox');
+    } catch (err) {
+      console.warn('Background sync unavailable:', err);
+    }
+  }
+
+  /** Server rate limits **/
+
+  /**
+   * Whether the server's retryAfter window is still running
+   * @returns {boolean}
+   */
+  isRateLimited() {
+    return this.rateLimitUntil > Date.now();
+  }
+
+  /**
+   * Keep the submit button disabled and count down the server's retryAfter
+   * @param {number} seconds - retryAfter from a RATE_LIMITED response
+   */
+  startRateLimitCountdown(seconds) {
+    clearInterval(this.rateLimitTimer);
+    this.rateLimitUntil = Date.now() + seconds * 1000;
+
+    const submitBtn = document.getElementById('submitBtn');
+    if (submitBtn) submitBtn.disabled = true;
+
+    const text = () => `Too many submissions. You can try again in ${this.formatWait(this.rateLimitUntil - Date.now())}.`;
+    // Announced once; later ticks only update the visible text
+    this.showMessage(text(), 'error');
+    const responseMessage = document.getElementById('responseMessage');
+    const label = responseMessage ? responseMessage.querySelector('span:not(.response-icon)') : null;
+
+    this.rateLimitTimer = setInterval(() => {
+      // Another message replaced the countdown - keep counting silently
+      const visible = !!(label && label.isConnected);
+      if (this.isRateLimited()) {
+        if (visible) label.textContent = text();
+        return;
+      }
+
+      clearInterval(this.rateLimitTimer);
+      this.rateLimitTimer = null;
+      if (submitBtn && !this.isSubmitting) submitBtn.disabled = false;
+      if (visible) this.showMessage('You can send your request now.', 'info');
+    }, 1000);
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {string} - e.g. "42s" or "3m 05s"
+   */
+  formatWait(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    if (total < 60) return `${total}s`;
+    return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`;
+  }
+
+  /**
+   * Where the visitor came from (Source column, counted in digest emails):
+   * the utm_source parameter, else the referring or embedding site, else "direct"
+   * @returns {string}
+   */
+  getLeadSource() {
+    try {
+      const utmSource = new URLSearchParams(window.location.search).get('utm_source');
+      if (utmSource) return utmSource.trim().slice(0, 100);
+      if (document.referrer) {
+        const host = new URL(document.referrer).hostname;
+        if (host && host !== window.location.hostname) return host;
+      }
+    } catch (_) {}
+    return 'direct';
+  }
+
+  /**
+   * `version` of the consent field when it is ticked
+   * @returns {string} - Empty if the schema has no consent field or it is not ticked
+   */
+  getConsentVersion() {
+    const field = this.validator.getField('consent');
+    return field && this.validator.getFieldValue(field) ? String(field.version || '') : '';
+  }
+
+  /**
+   * IANA time zone of the browser, e.g. "Africa/Cairo"
+   * @returns {string}
+   */
+  getTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch (_) {
+      return '';
+    }
+  }
+
   sleep(ms) {
     return new Promise(res => setTimeout(res, ms));
   }
@@ -607,12 +1187,12 @@ class FormHandler {
     const key = this.config.persistence.storageKey || 'contactFormDraft';
     const form = document.getElementById('serviceForm');
     if (!form) return;
-    const draft = {
-      name: form.name?.value || '',
-      phone: form.phone?.value || '',
-      email: form.email?.value || '',
-      message: form.message?.value || ''
-    };
+    const draft = {};
+    this.validator.fields.forEach(field => {
+      // Consent is given afresh on each visit, never restored from a draft
+      if (field.version) return;
+      draft[field.id] = this.validator.readRawValue(field);
+    });
     try { localStorage.setItem(key, JSON.stringify(draft)); } catch (_) {}
   }
 
@@ -626,10 +1206,9 @@ class FormHandler {
       const data = JSON.parse(raw);
       const form = document.getElementById('serviceForm');
       if (!form) return;
-      if (data.name && form.name) form.name.value = data.name;
-      if (data.phone && form.phone) form.phone.value = data.phone;
-      if (data.email && form.email) form.email.value = data.email;
-      if (data.message && form.message) form.message.value = data.message;
+      this.validator.fields.forEach(field => {
+        if (data[field.id] && !field.version) this.validator.writeRawValue(field, data[field.id]);
+      });
     } catch (_) {}
   }
 
@@ -0,0 +1,316 @@
+/**
+ * Form Renderer Module
+ * Builds the #serviceForm field controls from the field schema in AppConfig
+ * Produces the same markup FormValidator.setError/setSuccess rely on:
+ *   .form-group > .form-label + .field-wrapper > control + .error-message
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ */
+
+class FormRenderer {
+  constructor(config) {
+    this.config = config;
+    this.fields = Array.isArray(config.fields) ? config.fields : [];
+  }
+
+  /**
+   * Render all fields into the fields container
+   * @param {HTMLElement=} container - Target element (defaults to #formFields)
+   * @returns {HTMLElement|null} - The container, or null if not found
+   */
+  render(container) {
+    const target = container || document.getElementById('formFields');
+    if (!target) {
+      console.error('Form fields container not found');
+      return null;
+    }
+
+    target.textContent = '';
+    this.fields.forEach(field => {
+      const group = this.renderField(field);
+      if (group) target.appendChild(group);
+    });
+
+    return target;
+  }
+
+  /**
+   * Render a single field definition
+   * @param {Object} field - Field definition
+   * @returns {HTMLElement|null} - The .form-group element
+   */
+  renderField(field) {
+    switch (field.type) {
+      case 'textarea':
+        return this.renderStandard(field, this.createTextarea(field));
+      case 'select':
+        return this.renderStandard(field, this.createSelect(field));
+      case 'radio':
+        return this.renderRadioGroup(field);
+      case 'checkbox':
+        return this.renderCheckbox(field);
+      case 'text':
+      case 'tel':
+      case 'email':
+        return this.renderStandard(field, this.createInput(field));
+      default:
+        console.warn(`Unsupported field type "${field.type}" for field "${field.id}"`);
+        return null;
+    }
+  }
+
+  /**
+   * Wrap a single control (input, textarea, select) in the standard group markup
+   * @param {Object} field - Field definition
+   * @param {HTMLElement} control - Form control
+   * @returns {HTMLElement}
+   */
+  renderStandard(field, control) {
+    const group = this.createGroup(field);
+
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.htmlFor = field.id;
+    this.appendLabelText(label, field);
+
+    const wrapper = this.createWrapper();
+    wrapper.appendChild(control);
+    wrapper.appendChild(this.createErrorElement(field));
+
+    group.appendChild(label);
+    group.appendChild(wrapper);
+    return group;
+  }
+
+  /**
+   * Render a radio group
+   * The group element carries the field id so setError/setSuccess can style it
+   * @param {Object} field - Field definition
+   * @returns {HTMLElement}
+   */
+  renderRadioGroup(field) {
+    const group = this.createGroup(field);
+    const labelId = `${field.id}-label`;
+
+    const label = document.createElement('span');
+    label.className = 'form-label';
+    label.id = labelId;
+    this.appendLabelText(label, field);
+
+    const choices = document.createElement('div');
+    choices.id = field.id;
+    choices.className = 'form-choice-group';
+    choices.setAttribute('role', 'radiogroup');
+    choices.setAttribute('aria-labelledby', labelId);
+    choices.setAttribute('aria-describedby', `${field.id}-error`);
+    if (field.required) choices.setAttribute('aria-required', 'true');
+
+    this.normalizeOptions(field.options).forEach((option, index) => {
+      const choice = document.createElement('label');
+      choice.className = 'form-choice';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = field.id;
+      input.id = `${field.id}-${index}`;
+      input.value = option.value;
+      input.className = 'form-radio';
+
+      const text = document.createElement('span');
+      text.className = 'form-choice-label';
+      text.textContent = option.label;
+
+      choice.appendChild(input);
+      choice.appendChild(text);
+      choices.appendChild(choice);
+    });
+
+    const wrapper = this.createWrapper('field-wrapper--choice');
+    wrapper.appendChild(choices);
+    wrapper.appendChild(this.createErrorElement(field));
+
+    group.appendChild(label);
+    group.appendChild(wrapper);
+    return group;
+  }
+
+  /**
+   * Render a single checkbox (label text sits next to the box)
+   * @param {Object} field - Field definition
+   * @returns {HTMLElement}
+   */
+  renderCheckbox(field) {
+    const group = this.createGroup(field);
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = field.id;
+    input.name = field.id;
+    input.value = field.checkedValue || 'yes';
+    input.className = 'form-checkbox';
+    this.applyCommonAttributes(input, field);
+
+    const text = document.createElement('span');
+    text.className = 'form-choice-label';
+    this.appendLabelText(text, field);
+
+    const choice = document.createElement('label');
+    choice.className = 'form-choice form-choice--checkbox';
+    choice.htmlFor = field.id;
+    choice.appendChild(input);
+    choice.appendChild(text);
+
+    const wrapper = this.createWrapper('field-wrapper--choice');
+    wrapper.appendChild(choice);
+    wrapper.appendChild(this.createErrorElement(field));
+
+    group.appendChild(wrapper);
+    return group;
+  }
+
+  /**
+   * Create an <input> for text-like types
+   * @param {Object} field - Field definition
+   * @returns {HTMLInputElement}
+   */
+  createInput(field) {
+    const input = document.createElement('input');
+    input.type = field.type;
+    input.id = field.id;
+    input.name = field.id;
+    input.className = 'form-input';
+    if (field.placeholder) input.placeholder = field.placeholder;
+    if (field.inputmode) input.setAttribute('inputmode', field.inputmode);
+    this.applyCommonAttributes(input, field);
+    return input;
+  }
+
+  /**
+   * Create a <textarea>
+   * @param {Object} field - Field definition
+   * @returns {HTMLTextAreaElement}
+   */
+  createTextarea(field) {
+    const textarea = document.createElement('textarea');
+    textarea.id = field.id;
+    textarea.name = field.id;
+    textarea.className = 'form-textarea';
+    textarea.rows = field.rows || 5;
+    if (field.placeholder) textarea.placeholder = field.placeholder;
+    this.applyCommonAttributes(textarea, field);
+    return textarea;
+  }
+
+  /**
+   * Create a <select> with an empty placeholder option
+   * @param {Object} field - Field definition
+   * @returns {HTMLSelectElement}
+   */
+  createSelect(field) {
+    const select = document.createElement('select');
+    select.id = field.id;
+    select.name = field.id;
+    select.className = 'form-input form-select';
+    this.applyCommonAttributes(select, field);
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = field.placeholder || 'Select an option';
+    select.appendChild(placeholder);
+
+    this.normalizeOptions(field.options).forEach(option => {
+      const el = document.createElement('option');
+      el.value = option.value;
+      el.textContent = option.label;
+      select.appendChild(el);
+    });
+
+    return select;
+  }
+
+  /**
+   * Apply required/aria/autocomplete attributes shared by all controls
+   * @param {HTMLElement} control - Form control
+   * @param {Object} field - Field definition
+   */
+  applyCommonAttributes(control, field) {
+    if (field.required) {
+      control.required = true;
+      control.setAttribute('aria-required', 'true');
+    }
+    control.setAttribute('aria-describedby', `${field.id}-error`);
+    if (field.autocomplete) control.setAttribute('autocomplete', field.autocomplete);
+  }
+
+  /**
+   * Append label text plus the required marker
+   * @param {HTMLElement} el - Label element
+   * @param {Object} field - Field definition
+   */
+  appendLabelText(el, field) {
+    el.appendChild(document.createTextNode(field.label || field.id));
+    if (field.required) {
+      const marker = document.createElement('span');
+      marker.className = 'required';
+      marker.setAttribute('aria-label', 'required');
+      marker.textContent = '*';
+      el.appendChild(document.createTextNode(' '));
+      el.appendChild(marker);
+    }
+  }
+
+  /**
+   * Create the .form-group element
+   * @param {Object} field - Field definition
+   * @returns {HTMLDivElement}
+   */
+  createGroup(field) {
+    const group = document.createElement('div');
+    group.className = `form-group form-group--${field.type}`;
+    group.dataset.field = field.id;
+    return group;
+  }
+
+  /**
+   * Create the .field-wrapper element
+   * @param {string=} modifier - Optional modifier class
+   * @returns {HTMLDivElement}
+   */
+  createWrapper(modifier) {
+    const wrapper = document.createElement('div');
+    wrapper.className = modifier ? `field-wrapper ${modifier}` : 'field-wrapper';
+    return wrapper;
+  }
+
+  /**
+   * Create the error message span referenced by aria-describedby
+   * @param {Object} field - Field definition
+   * @returns {HTMLSpanElement}
+   */
+  createErrorElement(field) {
+    const error = document.createElement('span');
+    error.id = `${field.id}-error`;
+    error.className = 'error-message';
+    error.setAttribute('role', 'alert');
+    error.setAttribute('aria-live', 'polite');
+    return error;
+  }
+
+  /**
+   * Accept options as strings or {value, label} objects
+   * @param {Array} options - Raw options
+   * @returns {Array<{value:string,label:string}>}
+   */
+  normalizeOptions(options) {
+    if (!Array.isArray(options)) return [];
+    return options.map(option => (
+      typeof option === 'object' && option !== null
+        ? { value: String(option.value), label: String(option.label || option.value) }
+        : { value: String(option), label: String(option) }
+    ));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormRenderer;
+}
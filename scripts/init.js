@@ -53,13 +53,17 @@
 
   document.addEventListener('DOMContentLoaded', function () {
     try {
+      // Build field controls from the schema before anything binds to them
+      new FormRenderer(AppConfig).render();
+
       var validator = new FormValidator(AppConfig);
       var formHandler = new FormHandler(AppConfig, validator);
 
       // Initialize mobile keyboard detection
       initKeyboardDetection();
 
-      var firstField = document.getElementById('name');
+      var fields = AppConfig.fields || [];
+      var firstField = fields.length ? document.getElementById(fields[0].id) : null;
       if (firstField && typeof firstField.focus === 'function') {
         firstField.focus();
       }
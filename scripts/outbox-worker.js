@@ -0,0 +1,114 @@
+/**
+ * Outbox Service Worker
+ * Sends submissions queued in the offline outbox (scripts/submission-outbox.js)
+ * when connectivity returns, even if the form's tab has been closed (Background Sync)
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Registered by FormHandler with the default scope (scripts/), so it never
+ * intercepts page requests. Only the 'cors' transport is available here; a
+ * backend the worker can't read from keeps its entries for the page to send
+ * on the next visit. Results are posted to open form pages as
+ * { source: 'eopeak-form', type: 'OUTBOX_DELIVERED', deliveries: [{ submissionId, formData, result }] }.
+ * Bump the versions below together with index.html.
+ */
+
+importScripts(
+  'form-contract.js?v=1.6',
+  'config.js?v=5.7',
+  'backend-adapters.js?v=1.1',
+  'pow-worker.js?v=1.1',
+  'pow-solver.js?v=1.0',
+  'submission-outbox.js?v=1.0'
+);
+
+const outbox = new SubmissionOutbox(AppConfig.outbox);
+const adapter = BackendAdapters.get((AppConfig.backend && AppConfig.backend.adapter) || 'appsScript');
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== (AppConfig.outbox.syncTag || 'form-outbox')) return;
+  event.waitUntil(flushOutbox());
+});
+
+/**
+ * Send the queue and report the results to open pages
+ * Rejects while entries remain, so the browser retries the sync later
+ */
+async function flushOutbox() {
+  const deliveries = await outbox.flush(sendEntry);
+
+  if (deliveries.length > 0) {
+    const message = {
+      source: 'eopeak-form',
+      type: 'OUTBOX_DELIVERED',
+      deliveries: deliveries.map(({ entry, result }) => ({ submissionId: entry.id, formData: entry.formData, result }))
+    };
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+  }
+
+  const remaining = await outbox.count();
+  if (remaining > 0) {
+    throw new Error(`${remaining} queued submission(s) not sent yet`);
+  }
+}
+
+/**
+ * Send one queued submission with a fresh form token and proof-of-work solution
+ * Same outcomes as FormHandler.sendQueued: a rejected token/challenge is retried
+ * once, and rate limits or server errors keep the entry queued ('pending')
+ * @param {Object} entry - Outbox entry
+ * @param {boolean=} isRetry - Second attempt after a rejected token/challenge
+ * @returns {Promise<Object>} - Result body
+ */
+async function sendEntry(entry, isRetry = false) {
+  const formData = { ...entry.formData };
+
+  if (AppConfig.formToken && AppConfig.formToken.enabled && adapter.features.formToken) {
+    formData.formToken = await fetchFormToken();
+  }
+  if (AppConfig.pow && AppConfig.pow.enabled && adapter.features.proofOfWork) {
+    // No Worker constructor here - PowSolver falls back to PowWork on this thread
+    const pow = await new PowSolver(AppConfig).getSolution();
+    formData.powChallenge = pow.challenge;
+    formData.powSolution = pow.solution;
+  }
+
+  const { url, headers, body } = adapter.buildRequest(formData, AppConfig);
+
+  if (!adapter.transports.includes('cors')) {
+    // Fire-and-forget backends (beacon): the response can't be read either way
+    await fetch(url, { method: 'POST', headers, body, mode: 'no-cors', credentials: 'omit', keepalive: true });
+    return adapter.parseResponse(null);
+  }
+
+  const resp = await fetch(url, { method: 'POST', headers, body, mode: 'cors', credentials: 'omit' });
+  const result = await adapter.parseResponse(resp);
+
+  // A page sending at the same time may have taken the token or challenge
+  const codes = FormContract.errorCodes;
+  if (!isRetry && (result.code === codes.INVALID_TOKEN || result.code === codes.INVALID_CHALLENGE)) {
+    return sendEntry(entry, true);
+  }
+  // Rate limited or the server failed (busy, lock timeout) - keep it queued for a later sync
+  if (result.code === codes.RATE_LIMITED || result.code === codes.SERVER_ERROR) {
+    return { status: 'pending', message: result.message };
+  }
+  return result;
+}
+
+/**
+ * Fetch a signed form token (GET ?action=token)
+ * @returns {Promise<string>}
+ */
+async function fetchFormToken() {
+  const resp = await fetch(`${AppConfig.apiEndpoint}?action=token`, { method: 'GET', mode: 'cors', credentials: 'omit' });
+  if (!resp.ok) throw BackendAdapters.httpError(resp.status);
+
+  const result = await resp.json();
+  if (result.status !== 'success' || !result.token) {
+    throw new Error(result.message || 'Form token unavailable');
+  }
+  return result.token;
+}
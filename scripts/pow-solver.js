@@ -0,0 +1,171 @@
+/**
+ * Proof-of-Work Solver
+ * Fetches a challenge from the backend (GET ?action=challenge) and solves it
+ * in a Web Worker (scripts/pow-worker.js) while the visitor fills in the form
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ */
+
+class PowSolver {
+  constructor(config) {
+    this.config = config;
+    this.options = config.pow || {};
+    this.job = null; // Current challenge: { promise, worker, difficulty, attempts, expiresAt, result }
+    this.progressListener = null;
+  }
+
+  /**
+   * Start solving a new challenge unless one is running or solved and still valid
+   */
+  start() {
+    if (this.job && !this.isExpired(this.job)) return;
+    this.reset();
+
+    const job = { worker: null, difficulty: 0, attempts: 0, expiresAt: 0, result: null };
+    job.promise = this.fetchChallenge()
+      .then(challenge => {
+        job.difficulty = challenge.difficulty;
+        job.expiresAt = Date.now() + challenge.expiresIn * 1000;
+        return this.solve(job, challenge.challenge);
+      })
+      .then(result => {
+        job.result = result;
+        return result;
+      });
+
+    // A failed job is dropped so the next start() fetches a fresh challenge
+    job.promise.catch(() => {
+      if (this.job === job) this.reset();
+    });
+
+    this.job = job;
+  }
+
+  /**
+   * Wait for the solution of the current challenge
+   * @param {function(number)=} onProgress - Called with an estimated percentage while solving
+   * @returns {Promise<{challenge:string, solution:string}>}
+   */
+  async getSolution(onProgress) {
+    this.start();
+    const job = this.job;
+    if (!job.result && onProgress) {
+      this.progressListener = onProgress;
+      onProgress(this.estimateProgress(job));
+    }
+
+    try {
+      return await job.promise;
+    } finally {
+      this.progressListener = null;
+    }
+  }
+
+  /**
+   * Discard the current challenge (after it was used or rejected)
+   */
+  reset() {
+    if (this.job && this.job.worker) {
+      this.job.worker.terminate();
+    }
+    this.job = null;
+  }
+
+  /**
+   * Fetch a signed challenge from the backend
+   * @returns {Promise<{challenge:string, difficulty:number, expiresIn:number}>}
+   */
+  async fetchChallenge() {
+    const resp = await fetch(`${this.config.apiEndpoint}?action=challenge`, {
+      method: 'GET',
+      mode: 'cors',
+      credentials: 'omit'
+    });
+    if (!resp.ok) throw new Error(`HTTP error! status: ${resp.status}`);
+
+    const result = await resp.json();
+    if (result.status !== 'success' || !result.challenge) {
+      throw new Error(result.message || 'Proof-of-work challenge unavailable');
+    }
+    return {
+      challenge: result.challenge,
+      difficulty: Number(result.difficulty) || 0,
+      expiresIn: Number(result.expiresIn) || 0
+    };
+  }
+
+  /**
+   * Solve in a Web Worker, or on the main thread if workers are unavailable
+   * @param {Object} job - Current job
+   * @param {string} challenge - Challenge string
+   * @returns {Promise<{challenge:string, solution:string}>}
+   */
+  solve(job, challenge) {
+    const onProgress = attempts => {
+      job.attempts = attempts;
+      if (this.progressListener && this.job === job) {
+        this.progressListener(this.estimateProgress(job));
+      }
+    };
+
+    if (typeof Worker === 'undefined') {
+      if (typeof PowWork === 'undefined') {
+        return Promise.reject(new Error('Proof-of-work is not supported in this browser'));
+      }
+      return PowWork.solve(challenge, job.difficulty, onProgress)
+        .then(result => ({ challenge, solution: result.solution }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.options.workerUrl || 'scripts/pow-worker.js');
+      job.worker = worker;
+
+      worker.onmessage = (e) => {
+        const data = e.data || {};
+        if (data.type === 'progress') {
+          onProgress(data.attempts);
+        } else if (data.type === 'solved') {
+          worker.terminate();
+          job.worker = null;
+          resolve({ challenge, solution: data.solution });
+        } else if (data.type === 'error') {
+          worker.terminate();
+          job.worker = null;
+          reject(new Error(data.message || 'Proof-of-work failed'));
+        }
+      };
+      worker.onerror = (e) => {
+        worker.terminate();
+        job.worker = null;
+        reject(new Error(e.message || 'Proof-of-work worker failed'));
+      };
+
+      worker.postMessage({ challenge, difficulty: job.difficulty });
+    });
+  }
+
+  /**
+   * Estimated completion: chance that a solution would have been found by now
+   * @param {Object} job - Current job
+   * @returns {number} - 0-99
+   */
+  estimateProgress(job) {
+    if (!job.difficulty) return 0;
+    const expected = Math.pow(2, job.difficulty);
+    return Math.min(99, Math.floor(100 * (1 - Math.exp(-job.attempts / expected))));
+  }
+
+  /**
+   * A solved challenge must still be valid when it reaches the backend
+   * @param {Object} job - Current job
+   * @returns {boolean}
+   */
+  isExpired(job) {
+    const margin = this.options.refreshMarginMs || 0;
+    return !!job.result && job.expiresAt - margin <= Date.now();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PowSolver;
+}
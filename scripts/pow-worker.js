@@ -0,0 +1,83 @@
+/**
+ * Proof-of-Work Module
+ * Finds a solution for a backend challenge: a counter whose
+ * SHA-256("<challenge>:<counter>") starts with `difficulty` zero bits
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Loaded two ways:
+ * - As a Web Worker by PowSolver (messages: { challenge, difficulty } in,
+ *   { type: 'progress' | 'solved' | 'error', ... } out)
+ * - As a regular script, exposing PowWork for browsers without Worker support
+ *   (and for the outbox service worker)
+ */
+
+const PowWork = {
+  // Hashes computed concurrently per await (crypto.subtle is async)
+  batchSize: 256,
+  // Report progress every N attempts
+  progressInterval: 4096,
+
+  /**
+   * Count leading zero bits of a hash
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  leadingZeroBits(bytes) {
+    let bits = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(bytes[i]) - 24;
+      break;
+    }
+    return bits;
+  },
+
+  /**
+   * Search counters from 0 until one meets the difficulty
+   * @param {string} challenge - Challenge string from the backend
+   * @param {number} difficulty - Required leading zero bits
+   * @param {function(number)=} onProgress - Called with the number of attempts so far
+   * @returns {Promise<{solution:string, attempts:number}>}
+   */
+  async solve(challenge, difficulty, onProgress) {
+    const encoder = new TextEncoder();
+    const batchSize = PowWork.batchSize;
+
+    for (let base = 0; ; base += batchSize) {
+      const batch = [];
+      for (let i = 0; i < batchSize; i++) {
+        batch.push(crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${base + i}`)));
+      }
+
+      const hashes = await Promise.all(batch);
+      for (let i = 0; i < hashes.length; i++) {
+        if (PowWork.leadingZeroBits(new Uint8Array(hashes[i])) >= difficulty) {
+          return { solution: String(base + i), attempts: base + i + 1 };
+        }
+      }
+
+      const attempts = base + batchSize;
+      if (onProgress && attempts % PowWork.progressInterval === 0) {
+        onProgress(attempts);
+      }
+    }
+  }
+};
+
+// Worker entry point (dedicated workers only - the outbox service worker imports PowWork too)
+if (typeof DedicatedWorkerGlobalScope !== 'undefined' && self instanceof DedicatedWorkerGlobalScope) {
+  self.onmessage = (e) => {
+    const { challenge, difficulty } = e.data || {};
+    PowWork.solve(challenge, difficulty, attempts => self.postMessage({ type: 'progress', attempts }))
+      .then(result => self.postMessage({ type: 'solved', solution: result.solution, attempts: result.attempts }))
+      .catch(err => self.postMessage({ type: 'error', message: err.message || String(err) }));
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PowWork;
+}
@@ -0,0 +1,173 @@
+/**
+ * Submission Outbox
+ * IndexedDB queue for submissions that could not leave the browser (offline,
+ * network failure). Entries keep their submission ID, so re-sending one the
+ * backend already stored returns the original result instead of a duplicate.
+ * Author: Eng. Eslam Osama Saad (EOPeak)
+ *
+ * Shared by FormHandler (flush on `online` / page load) and the service worker
+ * (scripts/outbox-worker.js, flush on Background Sync after the tab is closed).
+ * Entry: { id, formData, queuedAt, attempts, lastError }
+ */
+
+class SubmissionOutbox {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'eopeak-form-outbox';
+    this.storeName = 'submissions';
+    this.maxAgeMs = options.maxAgeMs || 7 * 24 * 60 * 60 * 1000;
+    this.dbPromise = null;
+    this.flushPromise = null; // In-flight flush shared by concurrent callers
+  }
+
+  /**
+   * Whether this browser (or worker) has IndexedDB
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Outbox database is blocked by another tab'));
+    });
+    // A failed open is retried on the next call
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} operation
+   * @returns {Promise<*>} - The request's result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Outbox transaction aborted'));
+    });
+  }
+
+  /**
+   * Queue a submission (replaces an entry with the same submission ID)
+   * @param {Object} formData - Form data including submissionId
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async add(formData) {
+    if (!formData.submissionId) {
+      throw new Error('Queued submissions need a submission ID');
+    }
+    const entry = {
+      id: formData.submissionId,
+      formData,
+      queuedAt: Date.now(),
+      attempts: 0,
+      lastError: null
+    };
+    await this.run('readwrite', store => store.put(entry));
+    return entry;
+  }
+
+  /**
+   * Queued entries, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const entries = await this.run('readonly', store => store.getAll());
+    return (entries || []).sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  async count() {
+    return this.run('readonly', store => store.count());
+  }
+
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id));
+  }
+
+  async update(entry) {
+    await this.run('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Entries older than maxAgeMs are dropped rather than sent
+   * @param {Object} entry
+   * @returns {boolean}
+   */
+  isExpired(entry) {
+    return Date.now() - entry.queuedAt > this.maxAgeMs;
+  }
+
+  /**
+   * Send queued entries in order
+   * A thrown error (still offline, backend unreachable) stops the flush and keeps
+   * the entry; a 'pending' result keeps it for another try; any other result
+   * (success or error) is final and removes it.
+   * @param {function(Object): Promise<Object>} send - Sends one entry, resolves with the result body
+   * @returns {Promise<Array<{entry:Object, result:Object}>>} - Entries with a final result
+   */
+  flush(send) {
+    if (this.flushPromise) return this.flushPromise;
+
+    this.flushPromise = (async () => {
+      const delivered = [];
+      const entries = await this.getAll();
+
+      for (const entry of entries) {
+        if (this.isExpired(entry)) {
+          console.warn(`Dropping queued submission ${entry.id}: older than ${this.maxAgeMs}ms`);
+          await this.remove(entry.id);
+          continue;
+        }
+
+        let result;
+        try {
+          result = await send(entry);
+        } catch (error) {
+          await this.update({ ...entry, attempts: entry.attempts + 1, lastError: error.message || String(error) });
+          break;
+        }
+
+        if (!result || result.status === 'pending') {
+          await this.update({ ...entry, attempts: entry.attempts + 1, lastError: null });
+          continue;
+        }
+
+        await this.remove(entry.id);
+        delivered.push({ entry, result });
+      }
+
+      return delivered;
+    })().finally(() => {
+      this.flushPromise = null;
+    });
+
+    return this.flushPromise;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubmissionOutbox;
+}
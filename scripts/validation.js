@@ -12,6 +12,13 @@ class FormValidator {
   }
 
   init() {
+    // Index the field schema by id for quick lookups
+    this.fields = Array.isArray(this.config.fields) ? this.config.fields : [];
+    this.fieldMap = {};
+    this.fields.forEach(field => {
+      this.fieldMap[field.id] = field;
+    });
+
     // Set up real-time validation listeners
     this.setupValidationListeners();
   }
@@ -20,172 +27,154 @@ class FormValidator {
    * Set up real-time validation for form fields
    */
   setupValidationListeners() {
-    const nameInput = document.getElementById('name');
-    const phoneInput = document.getElementById('phone');
-    const emailInput = document.getElementById('email');
-    const messageInput = document.getElementById('message');
-
-    if (nameInput) {
-      nameInput.addEventListener('blur', () => this.validateName());
-      nameInput.addEventListener('input', () => this.clearError('name'));
-    }
-
-    if (phoneInput) {
-      phoneInput.addEventListener('blur', () => this.validatePhone());
-      phoneInput.addEventListener('input', () => this.clearError('phone'));
-    }
-
-    if (emailInput) {
-      emailInput.addEventListener('blur', () => this.validateEmail());
-      emailInput.addEventListener('input', () => this.clearError('email'));
-    }
+    this.fields.forEach(field => {
+      const input = document.getElementById(field.id);
+      if (!input) return;
+
+      // Choice controls commit on change (radio groups never receive blur themselves)
+      if (this.isChoiceField(field)) {
+        input.addEventListener('change', () => this.validateField(field.id));
+        return;
+      }
 
-    if (messageInput) {
-      messageInput.addEventListener('blur', () => this.validateMessage());
-      messageInput.addEventListener('input', () => this.clearError('message'));
-    }
+      input.addEventListener('blur', () => this.validateField(field.id));
+      input.addEventListener('input', () => this.clearError(field.id));
+    });
   }
 
   /**
-   * Sanitize input to prevent XSS attacks
-   * @param {string} str - Input string to sanitize
-   * @returns {string} - Sanitized string
+   * Whether a field is a select, radio group or checkbox
+   * @param {Object} field - Field definition
+   * @returns {boolean}
    */
-  sanitizeInput(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.textContent || div.innerText || '';
+  isChoiceField(field) {
+    return field.type === 'select' || field.type === 'radio' || field.type === 'checkbox';
   }
 
   /**
-   * Validate name field
-   * @returns {boolean} - True if valid
+   * Get field definition by id
+   * @param {string} fieldName - Field id
+   * @returns {Object|null} - Field definition or null if unknown
    */
-  validateName() {
-    const nameInput = document.getElementById('name');
-    const value = this.sanitizeInput(nameInput.value.trim());
-    const rules = this.config.validation.name;
-
-    // Check if empty
-    if (!value) {
-      this.setError('name', 'Name is required');
-      return false;
-    }
+  getField(fieldName) {
+    return this.fieldMap[fieldName] || null;
+  }
 
-    // Check minimum length
-    if (value.length < rules.minLength) {
-      this.setError('name', `Name must be at least ${rules.minLength} characters`);
-      return false;
-    }
+  /**
+   * Read the raw (unsanitized, untrimmed) value of a field
+   * @param {Object} field - Field definition
+   * @returns {string} - Raw field value
+   */
+  readRawValue(field) {
+    const form = document.getElementById('serviceForm');
+    if (!form) return '';
 
-    // Check maximum length
-    if (value.length > rules.maxLength) {
-      this.setError('name', `Name must not exceed ${rules.maxLength} characters`);
-      return false;
+    if (field.type === 'radio') {
+      const checked = form.querySelector(`input[type="radio"][name="${field.id}"]:checked`);
+      return checked ? checked.value : '';
     }
 
-    // Check pattern
-    if (!rules.pattern.test(value)) {
-      this.setError('name', 'Name can only contain letters, spaces, hyphens, and apostrophes');
-      return false;
+    const control = form.elements.namedItem(field.id);
+    if (!control) return '';
+    if (field.type === 'checkbox') {
+      return control.checked ? control.value : '';
     }
-
-    this.setSuccess('name');
-    return true;
+    return typeof control.value === 'string' ? control.value : '';
   }
 
   /**
-   * Validate phone field
-   * @returns {boolean} - True if valid
+   * Write a raw value back into a field (used by draft restore)
+   * @param {Object} field - Field definition
+   * @param {string} value - Value to write
    */
-  validatePhone() {
-    const phoneInput = document.getElementById('phone');
-    const rawValue = phoneInput.value.trim();
-    const value = this.sanitizeInput(rawValue);
-    const rules = this.config.validation.phone;
-
-    // Required
-    if (!value) {
-      this.setError('phone', 'Phone number is required');
-      return false;
-    }
-
-    // Allowed characters check
-    if (!rules.allowedPattern.test(value)) {
-      this.setError('phone', 'Phone can include digits, +, spaces, -, . and ()');
-      return false;
+  writeRawValue(field, value) {
+    const form = document.getElementById('serviceForm');
+    if (!form || typeof value !== 'string') return;
+
+    if (field.type === 'radio') {
+      form.querySelectorAll(`input[type="radio"][name="${field.id}"]`).forEach(radio => {
+        radio.checked = radio.value === value;
+      });
+      return;
     }
 
-    // Digit count check (strip non-digits)
-    const digitsOnly = value.replace(/\D+/g, '');
-    if (digitsOnly.length < rules.minDigits || digitsOnly.length > rules.maxDigits) {
-      this.setError('phone', `Phone must have ${rules.minDigits}-${rules.maxDigits} digits`);
-      return false;
+    const control = form.elements.namedItem(field.id);
+    if (!control) return;
+    if (field.type === 'checkbox') {
+      control.checked = value !== '';
+      return;
     }
-
-    this.setSuccess('phone');
-    return true;
+    control.value = value;
   }
 
   /**
-   * Validate email field
-   * @returns {boolean} - True if valid
+   * Get the sanitized, trimmed value of a field
+   * @param {Object} field - Field definition
+   * @returns {string} - Sanitized value
    */
-  validateEmail() {
-    const emailInput = document.getElementById('email');
-    const value = this.sanitizeInput(emailInput.value.trim());
-    const rules = this.config.validation.email;
-
-    // Check if empty
-    if (!value) {
-      this.setError('email', 'Email is required');
-      return false;
-    }
+  getFieldValue(field) {
+    return this.sanitizeInput(this.readRawValue(field).trim());
+  }
 
-    // Check pattern
-    if (!rules.pattern.test(value)) {
-      this.setError('email', 'Please enter a valid email address');
-      return false;
-    }
+  /**
+   * Get sanitized values of all schema fields
+   * @returns {Object} - Map of field id to sanitized value
+   */
+  getValues() {
+    const values = {};
+    this.fields.forEach(field => {
+      values[field.id] = this.getFieldValue(field);
+    });
+    return values;
+  }
 
-    // Additional email validation (check for common typos)
-    if (value.includes('..') || value.startsWith('.') || value.startsWith('@')) {
-      this.setError('email', 'Please enter a valid email address');
-      return false;
-    }
+  /**
+   * Sanitize input to prevent XSS attacks
+   * @param {string} str - Input string to sanitize
+   * @returns {string} - Sanitized string
+   */
+  sanitizeInput(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.textContent || div.innerText || '';
+  }
 
-    this.setSuccess('email');
-    return true;
+  /**
+   * Run a field's rules against a value
+   * Delegates to the shared rule engine so the server applies identical checks
+   * @param {Object} field - Field definition
+   * @param {string} value - Sanitized value
+   * @returns {string|null} - Error message, or null if valid
+   */
+  checkRules(field, value) {
+    return FormContract.validateField(field, value);
   }
 
   /**
-   * Validate message field
+   * Validate a single field and update its visual state
+   * @param {string} fieldName - Field id
    * @returns {boolean} - True if valid
    */
-  validateMessage() {
-    const messageInput = document.getElementById('message');
-    const value = this.sanitizeInput(messageInput.value.trim());
-    const rules = this.config.validation.message;
+  validateField(fieldName) {
+    const field = this.getField(fieldName);
+    if (!field) return true;
 
-    // Check if empty
-    if (!value) {
-      this.setError('message', 'Message is required');
-      return false;
-    }
+    const value = this.getFieldValue(field);
+    const error = this.checkRules(field, value);
 
-    // Check minimum length
-    if (value.length < rules.minLength) {
-      this.setError('message', `Message must be at least ${rules.minLength} characters`);
+    if (error) {
+      this.setError(field.id, error);
       return false;
     }
 
-    // Check maximum length
-    if (value.length > rules.maxLength) {
-      this.setError('message', `Message must not exceed ${rules.maxLength} characters`);
-      return false;
+    // Optional and left empty: neutral state, no success mark
+    if (!value) {
+      this.resetField(field.id);
+      delete this.errors[field.id];
+      return true;
     }
 
-    this.setSuccess('message');
+    this.setSuccess(field.id);
     return true;
   }
 
@@ -255,12 +244,10 @@ class FormValidator {
    * @returns {boolean} - True if all fields are valid
    */
   validateForm() {
-    const isNameValid = this.validateName();
-    const isPhoneValid = this.validatePhone();
-    const isEmailValid = this.validateEmail();
-    const isMessageValid = this.validateMessage();
-
-    return isNameValid && isPhoneValid && isEmailValid && isMessageValid;
+    // Validate every field (no short-circuit) so all errors are shown at once
+    return this.fields
+      .map(field => this.validateField(field.id))
+      .every(Boolean);
   }
 
   /**
@@ -280,27 +267,30 @@ class FormValidator {
   }
 
   /**
-   * Reset all validation states
+   * Reset validation state of a single field
+   * @param {string} fieldName - Name of the field
    */
-  reset() {
-    const fields = ['name', 'phone', 'email', 'message'];
-    fields.forEach(fieldName => {
-      const field = document.getElementById(fieldName);
-      const fieldWrapper = field?.closest('.field-wrapper') || field?.parentElement;
-      const errorElement = fieldWrapper?.querySelector('.error-message') || 
-                          document.querySelector(`#${fieldName}-error`);
+  resetField(fieldName) {
+    const field = document.getElementById(fieldName);
+    const fieldWrapper = field?.closest('.field-wrapper') || field?.parentElement;
+    const errorElement = fieldWrapper?.querySelector('.error-message') || 
+                        document.querySelector(`#${fieldName}-error`);
 
-      if (field) {
-        field.classList.remove('error', 'success');
-        fieldWrapper?.classList.remove('success');
-      }
+    if (field) {
+      field.classList.remove('error', 'success');
+      fieldWrapper?.classList.remove('success');
+    }
 
-      if (errorElement) {
-        errorElement.classList.remove('show');
-      }
-    });
+    if (errorElement) {
+      errorElement.classList.remove('show');
+    }
+  }
 
+  /**
+   * Reset all validation states
+   */
+  reset() {
+    this.fields.forEach(field => this.resetField(field.id));
     this.errors = {};
   }
 }
-